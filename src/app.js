@@ -16,8 +16,14 @@ app.use(cors({
   credentials: true
 }));
 
-// Body parser
-app.use(express.json());
+// Body parser (keep the raw body for webhook signature verification)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging middleware
@@ -52,9 +58,12 @@ app.use('/api/inbox', require('./routes/inbox'));
 app.use('/api/knowledge-base', require('./routes/knowledgeBase'));
 app.use('/api/platforms', require('./routes/platforms'));
 app.use('/api/webhooks', require('./routes/webhooks'));
-// app.use('/api/labels', require('./routes/labels'));
-// app.use('/api/templates', require('./routes/templates'));
-// app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/labels', require('./routes/labels'));
+app.use('/api/templates', require('./routes/templates'));
+app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/organization', require('./routes/organization'));
+app.use('/api/invitations', require('./routes/invitations'));
+app.use('/api/notifications', require('./routes/notifications'));
 
 // 404 handler
 app.use((req, res) => {
@@ -1,11 +1,5 @@
 const Queue = require('bull');
 
-// Create queues
-const webhookQueue = new Queue('webhook-processing', process.env.REDIS_URL || 'redis://localhost:6379');
-const syncQueue = new Queue('platform-sync', process.env.REDIS_URL || 'redis://localhost:6379');
-const aiQueue = new Queue('ai-processing', process.env.REDIS_URL || 'redis://localhost:6379');
-const notificationQueue = new Queue('notifications', process.env.REDIS_URL || 'redis://localhost:6379');
-
 // Configure queue settings
 const queueConfig = {
   attempts: 3,
@@ -17,8 +11,21 @@ const queueConfig = {
   removeOnFail: 500
 };
 
+// Create queues (queueConfig applies to every job unless overridden when adding)
+const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
+const queueOptions = { defaultJobOptions: queueConfig };
+
+const webhookQueue = new Queue('webhook-processing', redisUrl, queueOptions);
+const syncQueue = new Queue('platform-sync', redisUrl, queueOptions);
+const aiQueue = new Queue('ai-processing', redisUrl, queueOptions);
+const notificationQueue = new Queue('notifications', redisUrl, queueOptions);
+const replyQueue = new Queue('reply-dispatch', redisUrl, queueOptions);
+const knowledgeQueue = new Queue('knowledge-indexing', redisUrl, queueOptions);
+const maintenanceQueue = new Queue('maintenance', redisUrl, queueOptions);
+const digestQueue = new Queue('email-digests', redisUrl, queueOptions);
+
 // Error handling for all queues
-const queues = [webhookQueue, syncQueue, aiQueue, notificationQueue];
+const queues = [webhookQueue, syncQueue, aiQueue, notificationQueue, replyQueue, knowledgeQueue, maintenanceQueue, digestQueue];
 
 queues.forEach(queue => {
   queue.on('error', (error) => {
@@ -39,6 +46,11 @@ module.exports = {
   syncQueue,
   aiQueue,
   notificationQueue,
+  replyQueue,
+  knowledgeQueue,
+  maintenanceQueue,
+  digestQueue,
+  queues,
   queueConfig
 };
 
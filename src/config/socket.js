@@ -0,0 +1,77 @@
+const socketIO = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { getRedisClient } = require('./redis');
+const { authenticate } = require('../middlewares/auth');
+const realtimeService = require('../services/realtimeService');
+
+/**
+ * Create the Socket.IO server. Clients authenticate with their access token
+ * (`auth.token` in the handshake, or a Bearer Authorization header) and are
+ * joined to their organization's room, their own user room and their session's room.
+ */
+const createSocketServer = (server) => {
+  const io = socketIO(server, {
+    cors: {
+      origin: process.env.CORS_ORIGIN || 'http://localhost:4200',
+      methods: ['GET', 'POST']
+    }
+  });
+
+  io.use(async (socket, next) => {
+    const header = socket.handshake.headers.authorization;
+    const token = socket.handshake.auth?.token ||
+      (header && header.startsWith('Bearer') ? header.split(' ')[1] : null);
+
+    if (!token) {
+      return next(new Error('Not authorized. No token provided.'));
+    }
+
+    try {
+      const { user, sessionId } = await authenticate(token);
+      socket.data.userId = user._id.toString();
+      socket.data.organizationId = user.organization._id.toString();
+      socket.data.sessionId = sessionId;
+      next();
+    } catch (error) {
+      next(new Error(error.statusCode ? error.message : 'Authentication failed'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const { userId, organizationId, sessionId } = socket.data;
+
+    socket.join(realtimeService.organizationRoom(organizationId));
+    socket.join(realtimeService.userRoom(userId));
+    if (sessionId) {
+      socket.join(realtimeService.sessionRoom(sessionId));
+    }
+
+    console.log(`Socket ${socket.id} connected for user ${userId}`);
+
+    socket.on('disconnect', () => {
+      console.log('Client disconnected:', socket.id);
+    });
+  });
+
+  realtimeService.setServer(io);
+
+  return io;
+};
+
+/**
+ * Share events between API instances and workers through Redis.
+ * Must run after connectRedis().
+ */
+const attachRedisAdapter = async (io) => {
+  const pubClient = getRedisClient().duplicate();
+  const subClient = pubClient.duplicate();
+
+  pubClient.on('error', (err) => console.error('Socket.IO Redis pub error:', err));
+  subClient.on('error', (err) => console.error('Socket.IO Redis sub error:', err));
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  io.adapter(createAdapter(pubClient, subClient));
+};
+
+module.exports = { createSocketServer, attachRedisAdapter };
@@ -0,0 +1,122 @@
+const analyticsService = require('../services/analyticsService');
+
+// @desc    Get totals for a date range
+// @route   GET /api/analytics/overview
+// @access  Private
+exports.getOverview = async (req, res, next) => {
+  try {
+    const range = analyticsService.buildRange(req.user.organization, req.query);
+    const data = await analyticsService.getOverview(range);
+
+    res.status(200).json({
+      success: true,
+      data,
+      range: describeRange(range)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get interaction volume over time
+// @route   GET /api/analytics/volume
+// @access  Private
+exports.getVolume = async (req, res, next) => {
+  try {
+    const range = analyticsService.buildRange(req.user.organization, req.query);
+    const data = await analyticsService.getVolume(range);
+
+    res.status(200).json({
+      success: true,
+      data,
+      range: describeRange(range)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get sentiment mix over time
+// @route   GET /api/analytics/sentiment
+// @access  Private
+exports.getSentimentTrend = async (req, res, next) => {
+  try {
+    const range = analyticsService.buildRange(req.user.organization, req.query);
+    const data = await analyticsService.getSentimentTrend(range);
+
+    res.status(200).json({
+      success: true,
+      data,
+      range: describeRange(range)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get first response and resolution times over time
+// @route   GET /api/analytics/response-times
+// @access  Private
+exports.getResponseTimes = async (req, res, next) => {
+  try {
+    const range = analyticsService.buildRange(req.user.organization, req.query);
+    const data = await analyticsService.getResponseTimes(range);
+
+    res.status(200).json({
+      success: true,
+      data,
+      range: describeRange(range)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get per-platform breakdown
+// @route   GET /api/analytics/platforms
+// @access  Private
+exports.getPlatformBreakdown = async (req, res, next) => {
+  try {
+    const range = analyticsService.buildRange(req.user.organization, req.query);
+    const data = await analyticsService.getPlatformBreakdown(range);
+
+    res.status(200).json({
+      success: true,
+      data,
+      range: describeRange(range)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get per-agent breakdown
+// @route   GET /api/analytics/agents
+// @access  Private (Admin/Manager)
+exports.getAgentBreakdown = async (req, res, next) => {
+  try {
+    const range = analyticsService.buildRange(req.user.organization, req.query);
+    const data = await analyticsService.getAgentBreakdown(range);
+
+    res.status(200).json({
+      success: true,
+      data,
+      range: describeRange(range)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Range details echoed back so charts can label their axes
+ */
+function describeRange(range) {
+  return {
+    from: range.from,
+    to: range.to,
+    interval: range.interval,
+    timezone: range.timezone,
+    platform: range.platform || null
+  };
+}
@@ -1,15 +1,24 @@
 const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
 const emailService = require('../services/emailService');
+const Session = require('../models/Session');
+
+// Device details recorded on the session
+const sessionMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
 
 // @desc    Register user & organization
 // @route   POST /api/auth/register
 // @access  Public
 exports.register = async (req, res, next) => {
   try {
-    const result = await authService.register(req.body);
+    const result = await authService.register(req.body, sessionMeta(req));
 
-    // Send welcome email
+    // Send welcome and verification emails
     await emailService.sendWelcomeEmail(result.user);
+    await emailService.sendVerificationEmail(result.user, result.verificationToken);
 
     res.status(201).json({
       success: true,
@@ -32,7 +41,7 @@ exports.login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    const result = await authService.login(email, password);
+    const result = await authService.login(email, password, sessionMeta(req));
 
     res.status(200).json({
       success: true,
@@ -43,7 +52,7 @@ exports.login = async (req, res, next) => {
       }
     });
   } catch (error) {
-    res.status(401).json({
+    res.status(error.statusCode || 401).json({
       success: false,
       error: error.message
     });
@@ -99,7 +108,8 @@ exports.changePassword = async (req, res, next) => {
     const result = await authService.changePassword(
       req.user._id,
       currentPassword,
-      newPassword
+      newPassword,
+      req.sessionId
     );
 
     res.status(200).json({
@@ -114,13 +124,37 @@ exports.changePassword = async (req, res, next) => {
   }
 };
 
-// @desc    Logout user
+// @desc    Get a new token pair with a refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const result = await sessionService.refresh(req.body.refreshToken, sessionMeta(req));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
 exports.logout = async (req, res, next) => {
   try {
-    // In a real app, you might want to blacklist the token
-    // For now, just return success (client will delete token)
+    if (req.sessionId) {
+      await sessionService.revoke({ _id: req.sessionId }, 'logout');
+    }
+
     res.status(200).json({
       success: true,
       data: { message: 'Logged out successfully' }
@@ -130,26 +164,124 @@ exports.logout = async (req, res, next) => {
   }
 };
 
-// @desc    Create team member
-// @route   POST /api/auth/team-member
-// @access  Private (Admin/Manager only)
-exports.createTeamMember = async (req, res, next) => {
+// @desc    Get active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
   try {
-    const result = await authService.createTeamMember(
-      req.user.organization._id,
-      req.user._id,
-      req.body
-    );
+    const sessions = await sessionService.listSessions(req.user._id);
 
-    // Send welcome email with temp password
-    await emailService.sendWelcomeEmail(result.user, result.tempPassword);
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        isCurrent: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    res.status(201).json({
+// @desc    Revoke one session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await sessionService.revoke(session, 'revoked');
+
+    res.status(200).json({
       success: true,
-      data: {
-        user: result.user,
-        message: 'Team member created. Welcome email sent with temporary password.'
-      }
+      data: { message: 'Session revoked' }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke all other sessions (all sessions with ?includeCurrent=true)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeAllSessions = async (req, res, next) => {
+  try {
+    const keepSessionId = req.query.includeCurrent === 'true' ? null : req.sessionId;
+    const count = await sessionService.revokeAll(req.user._id, keepSessionId);
+
+    res.status(200).json({
+      success: true,
+      data: { message: `${count} sessions revoked`, count }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const result = await authService.requestPasswordReset(req.body.email);
+
+    if (result) {
+      await emailService.sendPasswordResetEmail(result.user, result.resetToken);
+    }
+
+    // Same response either way so accounts can't be discovered
+    res.status(200).json({
+      success: true,
+      data: { message: 'If an account exists for this email, a password reset link has been sent.' }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reset password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const result = await authService.resetPassword(req.body.token, req.body.password);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const result = await authService.verifyEmail(req.body.token);
+
+    res.status(200).json({
+      success: true,
+      data: result
     });
   } catch (error) {
     res.status(400).json({
@@ -159,3 +291,26 @@ exports.createTeamMember = async (req, res, next) => {
   }
 };
 
+// @desc    Resend the email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Public
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const result = await authService.resendVerification(req.body.email);
+
+    if (result) {
+      await emailService.sendVerificationEmail(result.user, result.verificationToken);
+    }
+
+    // Same response either way so accounts can't be discovered
+    res.status(200).json({
+      success: true,
+      data: { message: 'If this email needs verification, a new link has been sent.' }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
@@ -2,6 +2,12 @@ const Interaction = require('../models/Interaction');
 const Label = require('../models/Label');
 const ResponseTemplate = require('../models/ResponseTemplate');
 const cacheService = require('../services/cacheService');
+const autoReplyService = require('../services/autoReplyService');
+const replyService = require('../services/replyService');
+const realtimeService = require('../services/realtimeService');
+const notificationService = require('../services/notificationService');
+const { replyQueue } = require('../config/queue');
+const { BaseAdapter, hasAdapter, getAdapter } = require('../integrations/platforms');
 
 // @desc    Get all interactions (inbox)
 // @route   GET /api/inbox
@@ -145,12 +151,93 @@ exports.getInteraction = async (req, res, next) => {
   }
 };
 
+// @desc    Get the conversation an interaction belongs to
+// @route   GET /api/inbox/:id/thread
+// @access  Private
+exports.getThread = async (req, res, next) => {
+  try {
+    const interaction = await Interaction.findById(req.params.id);
+
+    if (!interaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Interaction not found'
+      });
+    }
+
+    // Check organization access
+    if (interaction.organization.toString() !== req.user.organization._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    // Platforms without an adapter (e.g. website) use the default thread lookup
+    const adapter = hasAdapter(interaction.platform) ? getAdapter(interaction.platform) : new BaseAdapter();
+    const messages = await adapter.fetchThread(interaction);
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      data: messages
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download media attached to an interaction
+// @route   GET /api/inbox/:id/media/:mediaId
+// @access  Private
+exports.getMedia = async (req, res, next) => {
+  try {
+    const interaction = await Interaction.findById(req.params.id);
+
+    if (!interaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Interaction not found'
+      });
+    }
+
+    // Check organization access
+    if (interaction.organization.toString() !== req.user.organization._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const media = (interaction.metadata?.media || []).find(item => item.mediaId === req.params.mediaId);
+
+    if (!media || !media.path) {
+      return res.status(404).json({
+        success: false,
+        error: 'Media not found'
+      });
+    }
+
+    if (media.mimeType) {
+      res.type(media.mimeType);
+    }
+
+    res.sendFile(media.path, error => {
+      if (error && !res.headersSent) {
+        next(error);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Reply to interaction
 // @route   POST /api/inbox/:id/reply
 // @access  Private
 exports.replyToInteraction = async (req, res, next) => {
   try {
-    const { content, useTemplate, templateId, templateVariables } = req.body;
+    const { content, useTemplate, templateId, templateVariables, whatsappTemplate } = req.body;
 
     const interaction = await Interaction.findById(req.params.id);
 
@@ -171,34 +258,237 @@ exports.replyToInteraction = async (req, res, next) => {
 
     let replyContent = content;
 
-    // If using template
+    // If using template (built-in variables are filled from the interaction)
     if (useTemplate && templateId) {
-      const template = await ResponseTemplate.findById(templateId);
+      const template = await ResponseTemplate.findOne({
+        _id: templateId,
+        organization: req.user.organization._id
+      });
       if (template) {
-        replyContent = template.render(templateVariables || {});
+        replyContent = template.render({
+          ...ResponseTemplate.getInteractionVariables(interaction),
+          ...(templateVariables || {})
+        });
         await template.incrementUsage();
       }
     }
 
-    // Add reply
-    await interaction.addReply(replyContent, req.user._id);
+    if (whatsappTemplate && interaction.platform !== 'whatsapp') {
+      return res.status(400).json({
+        success: false,
+        error: 'Templates can only be sent to WhatsApp conversations'
+      });
+    }
+
+    // Outside the 24-hour window WhatsApp only delivers approved templates
+    if (!whatsappTemplate && await replyService.requiresTemplate(interaction)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The customer last wrote more than 24 hours ago. Reply with an approved WhatsApp template.',
+        code: 'MESSAGING_WINDOW_CLOSED'
+      });
+    }
+
+    if (whatsappTemplate && !replyContent) {
+      replyContent = `[Template: ${whatsappTemplate.name}]`;
+    }
+
+    // Add reply, pending until the platform accepts it
+    await interaction.addReply(replyContent, req.user._id, null, false, 'pending', whatsappTemplate);
+    const reply = interaction.replies[interaction.replies.length - 1];
+
+    // Send to the platform in the background
+    await replyQueue.add({
+      interactionId: interaction._id,
+      replyId: reply._id
+    });
 
-    // TODO: Send actual reply to platform via integration service
-    // This would call instagramService.replyToComment() or similar
+    realtimeService.replyUpdated(interaction, reply);
 
     // Clear cache
     await cacheService.delPattern(`interactions:${req.user.organization._id}*`);
 
+    res.status(202).json({
+      success: true,
+      data: interaction,
+      message: 'Reply queued for sending'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Retry sending a failed reply
+// @route   POST /api/inbox/:id/replies/:replyId/retry
+// @access  Private
+exports.retryReply = async (req, res, next) => {
+  try {
+    const interaction = await Interaction.findById(req.params.id);
+
+    if (!interaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Interaction not found'
+      });
+    }
+
+    // Check organization access
+    if (interaction.organization.toString() !== req.user.organization._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const reply = interaction.replies.id(req.params.replyId);
+
+    if (!reply) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reply not found'
+      });
+    }
+
+    if (reply.status !== 'failed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only failed replies can be retried'
+      });
+    }
+
+    reply.status = 'pending';
+    await interaction.save();
+
+    await replyQueue.add({
+      interactionId: interaction._id,
+      replyId: reply._id
+    });
+
+    realtimeService.replyUpdated(interaction, reply);
+
+    await cacheService.delPattern(`interactions:${req.user.organization._id}*`);
+
+    res.status(202).json({
+      success: true,
+      data: interaction,
+      message: 'Reply queued for sending'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a queued auto-reply during its delay window
+// @route   POST /api/inbox/:id/replies/:replyId/cancel
+// @access  Private
+exports.cancelAutoReply = async (req, res, next) => {
+  try {
+    const interaction = await Interaction.findById(req.params.id);
+
+    if (!interaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Interaction not found'
+      });
+    }
+
+    // Check organization access
+    if (interaction.organization.toString() !== req.user.organization._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const reply = interaction.replies.id(req.params.replyId);
+
+    if (!reply) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reply not found'
+      });
+    }
+
+    if (!reply.wasAutoGenerated || reply.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only pending auto-replies can be cancelled'
+      });
+    }
+
+    const cancelled = await autoReplyService.cancel(interaction, reply);
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Auto-reply is already being sent'
+      });
+    }
+
+    realtimeService.replyUpdated(interaction, reply);
+
+    await cacheService.delPattern(`interactions:${req.user.organization._id}*`);
+
     res.status(200).json({
       success: true,
       data: interaction,
-      message: 'Reply sent successfully'
+      message: 'Auto-reply cancelled'
     });
   } catch (error) {
     next(error);
   }
 };
 
+// @desc    Delete a sent reply from the platform
+// @route   DELETE /api/inbox/:id/replies/:replyId
+// @access  Private
+exports.deleteReply = async (req, res, next) => {
+  try {
+    const interaction = await Interaction.findById(req.params.id);
+
+    if (!interaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Interaction not found'
+      });
+    }
+
+    // Check organization access
+    if (interaction.organization.toString() !== req.user.organization._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const reply = interaction.replies.id(req.params.replyId);
+
+    if (!reply) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reply not found'
+      });
+    }
+
+    await replyService.deleteReply(interaction, reply);
+
+    realtimeService.replyUpdated(interaction, reply);
+
+    await cacheService.delPattern(`interactions:${req.user.organization._id}*`);
+
+    res.status(200).json({
+      success: true,
+      data: interaction,
+      message: 'Reply deleted'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.response?.data?.error?.message || error.message
+    });
+  }
+};
+
 // @desc    Assign interaction to agent
 // @route   PUT /api/inbox/:id/assign
 // @access  Private (Manager/Admin)
@@ -217,7 +507,8 @@ exports.assignInteraction = async (req, res, next) => {
 
     await interaction.assignTo(userId, req.user._id, reason || 'manual');
 
-    // TODO: Send notification to assigned user
+    realtimeService.interactionUpdated(interaction, { assigned: true });
+    await notificationService.notifyAssignment(interaction, req.user._id);
 
     // Clear cache
     await cacheService.delPattern(`interactions:${req.user.organization._id}*`);
@@ -294,6 +585,8 @@ exports.addNote = async (req, res, next) => {
 
     await interaction.addNote(note, req.user._id, isPrivate);
 
+    realtimeService.noteAdded(interaction, interaction.internalNotes[interaction.internalNotes.length - 1]);
+
     res.status(200).json({
       success: true,
       data: interaction
@@ -327,6 +620,8 @@ exports.updateStatus = async (req, res, next) => {
 
     await interaction.save();
 
+    realtimeService.interactionUpdated(interaction);
+
     // Clear cache
     await cacheService.delPattern(`interactions:${req.user.organization._id}*`);
 
@@ -339,6 +634,46 @@ exports.updateStatus = async (req, res, next) => {
   }
 };
 
+// @desc    Hide or unhide a comment on the platform
+// @route   PUT /api/inbox/:id/visibility
+// @access  Private
+exports.updateVisibility = async (req, res, next) => {
+  try {
+    const interaction = await Interaction.findById(req.params.id);
+
+    if (!interaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Interaction not found'
+      });
+    }
+
+    // Check organization access
+    if (interaction.organization.toString() !== req.user.organization._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    await replyService.hide(interaction, req.body.hidden);
+
+    realtimeService.interactionUpdated(interaction);
+
+    await cacheService.delPattern(`interactions:${req.user.organization._id}*`);
+
+    res.status(200).json({
+      success: true,
+      data: interaction
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.response?.data?.error?.message || error.message
+    });
+  }
+};
+
 // @desc    Get inbox stats
 // @route   GET /api/inbox/stats
 // @access  Private
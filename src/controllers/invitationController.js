@@ -0,0 +1,209 @@
+const Invitation = require('../models/Invitation');
+const invitationService = require('../services/invitationService');
+const emailService = require('../services/emailService');
+
+// @desc    Get invitations
+// @route   GET /api/invitations
+// @access  Private (Admin/Manager)
+exports.getInvitations = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    const query = { organization: req.user.organization._id };
+
+    // "expired" is a pending invitation past its expiry
+    if (status === 'expired') {
+      query.status = 'pending';
+      query.expiresAt = { $lte: new Date() };
+    } else if (status === 'pending') {
+      query.status = 'pending';
+      query.expiresAt = { $gt: new Date() };
+    } else if (status) {
+      query.status = status;
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite a team member
+// @route   POST /api/invitations
+// @access  Private (Admin/Manager)
+exports.createInvitation = async (req, res, next) => {
+  try {
+    // Only admins can invite admins
+    if (req.body.role === 'admin' && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can invite admins'
+      });
+    }
+
+    const { invitation, organization, token } = await invitationService.create(
+      req.user.organization._id,
+      req.user,
+      req.body
+    );
+
+    await emailService.sendInvitationEmail(invitation, organization, req.user, token);
+
+    res.status(201).json({
+      success: true,
+      data: invitation,
+      message: `Invitation sent to ${invitation.email}`
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Resend an invitation with a new link
+// @route   POST /api/invitations/:id/resend
+// @access  Private (Admin/Manager)
+exports.resendInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findOne({
+      _id: req.params.id,
+      organization: req.user.organization._id
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found'
+      });
+    }
+
+    let token;
+    try {
+      token = await invitationService.resend(invitation, req.body?.expiresInDays);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    await emailService.sendInvitationEmail(invitation, req.user.organization, req.user, token);
+
+    res.status(200).json({
+      success: true,
+      data: invitation,
+      message: `Invitation resent to ${invitation.email}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke an invitation
+// @route   DELETE /api/invitations/:id
+// @access  Private (Admin/Manager)
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findOne({
+      _id: req.params.id,
+      organization: req.user.organization._id
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found'
+      });
+    }
+
+    try {
+      await invitationService.revoke(invitation);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invitation,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get invitation details for the accept page
+// @route   GET /api/invitations/token/:token
+// @access  Public
+exports.getInvitationByToken = async (req, res, next) => {
+  try {
+    const invitation = await invitationService.findByToken(req.params.token);
+
+    if (!invitation || !invitation.organization?.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        firstName: invitation.firstName,
+        lastName: invitation.lastName,
+        organization: {
+          name: invitation.organization.name,
+          logo: invitation.organization.logo
+        },
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept an invitation and create the account
+// @route   POST /api/invitations/accept
+// @access  Public
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const { token, ...data } = req.body;
+
+    const result = await invitationService.accept(token, data, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    });
+
+    await emailService.sendWelcomeEmail(result.user);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user: result.user,
+        organization: result.organization,
+        token: result.token,
+        refreshToken: result.refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
@@ -1,4 +1,5 @@
 const KnowledgeBase = require('../models/KnowledgeBase');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
 const pdf = require('pdf-parse');
 const axios = require('axios');
 const cheerio = require('cheerio');
@@ -137,6 +138,7 @@ exports.createManualKnowledgeBase = async (req, res) => {
     });
 
     await knowledgeBase.save();
+    await knowledgeBaseService.queueIndexing(knowledgeBase);
 
     res.status(201).json({
       success: true,
@@ -190,6 +192,7 @@ exports.createPDFKnowledgeBase = async (req, res) => {
     });
 
     await knowledgeBase.save();
+    await knowledgeBaseService.queueIndexing(knowledgeBase);
 
     res.status(201).json({
       success: true,
@@ -261,6 +264,7 @@ exports.createURLKnowledgeBase = async (req, res) => {
     });
 
     await knowledgeBase.save();
+    await knowledgeBaseService.queueIndexing(knowledgeBase);
 
     res.status(201).json({
       success: true,
@@ -307,8 +311,17 @@ exports.updateKnowledgeBase = async (req, res) => {
 
     knowledgeBase.updatedBy = req.user.id;
 
+    const contentChanged = knowledgeBase.isModified('title') || knowledgeBase.isModified('content');
+
     await knowledgeBase.save();
 
+    // Re-chunk when the text changed, otherwise just update chunk visibility
+    if (contentChanged) {
+      await knowledgeBaseService.queueIndexing(knowledgeBase);
+    } else {
+      await knowledgeBaseService.syncChunkStatus(knowledgeBase);
+    }
+
     res.json({
       success: true,
       data: knowledgeBase,
@@ -351,6 +364,7 @@ exports.deleteKnowledgeBase = async (req, res) => {
     }
 
     await knowledgeBase.deleteOne();
+    await knowledgeBaseService.removeEntry(knowledgeBase._id);
 
     res.json({
       success: true,
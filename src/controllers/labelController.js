@@ -0,0 +1,201 @@
+const Label = require('../models/Label');
+const Interaction = require('../models/Interaction');
+const labelService = require('../services/labelService');
+const cacheService = require('../services/cacheService');
+
+// @desc    Get all labels
+// @route   GET /api/labels
+// @access  Private
+exports.getLabels = async (req, res, next) => {
+  try {
+    const labels = await Label.find({ organization: req.user.organization._id })
+      .sort({ isSystem: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: labels
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single label
+// @route   GET /api/labels/:id
+// @access  Private
+exports.getLabel = async (req, res, next) => {
+  try {
+    const label = await Label.findOne({
+      _id: req.params.id,
+      organization: req.user.organization._id
+    });
+
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        error: 'Label not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: label
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create label
+// @route   POST /api/labels
+// @access  Private (Admin/Manager)
+exports.createLabel = async (req, res, next) => {
+  try {
+    const { name, color, description, icon, autoApplyRules } = req.body;
+
+    if (await nameTaken(req.user.organization._id, name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A label with this name already exists'
+      });
+    }
+
+    const label = await Label.create({
+      organization: req.user.organization._id,
+      name,
+      color,
+      description,
+      icon,
+      autoApplyRules: autoApplyRules || [],
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: label
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update label
+// @route   PUT /api/labels/:id
+// @access  Private (Admin/Manager)
+exports.updateLabel = async (req, res, next) => {
+  try {
+    const label = await Label.findOne({
+      _id: req.params.id,
+      organization: req.user.organization._id
+    });
+
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        error: 'Label not found'
+      });
+    }
+
+    const { name } = req.body;
+
+    if (name && name !== label.name && await nameTaken(req.user.organization._id, name, label._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A label with this name already exists'
+      });
+    }
+
+    const allowedUpdates = ['name', 'color', 'description', 'icon', 'autoApplyRules'];
+    allowedUpdates.forEach(key => {
+      if (req.body[key] !== undefined) {
+        label[key] = req.body[key];
+      }
+    });
+
+    await label.save();
+
+    res.status(200).json({
+      success: true,
+      data: label
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete label
+// @route   DELETE /api/labels/:id
+// @access  Private (Admin/Manager)
+exports.deleteLabel = async (req, res, next) => {
+  try {
+    const label = await Label.findOne({
+      _id: req.params.id,
+      organization: req.user.organization._id
+    });
+
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        error: 'Label not found'
+      });
+    }
+
+    if (label.isSystem) {
+      return res.status(403).json({
+        success: false,
+        error: 'System labels cannot be deleted'
+      });
+    }
+
+    // Remove label from tagged interactions
+    await Interaction.updateMany(
+      { organization: req.user.organization._id, labels: label._id },
+      { $pull: { labels: label._id } }
+    );
+
+    await label.deleteOne();
+
+    // Clear cache
+    await cacheService.delPattern(`interactions:${req.user.organization._id}*`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Label deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Dry run auto-apply rules against recent interactions
+// @route   POST /api/labels/preview
+// @access  Private (Admin/Manager)
+exports.previewRules = async (req, res, next) => {
+  try {
+    const { autoApplyRules, limit = 100 } = req.body;
+
+    const result = await labelService.previewRules(
+      req.user.organization._id,
+      autoApplyRules,
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check if another label in the organization already uses this name
+ */
+async function nameTaken(organizationId, name, excludeId = null) {
+  const query = { organization: organizationId, name: name.trim() };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return Boolean(await Label.exists(query));
+}
@@ -0,0 +1,105 @@
+const Notification = require('../models/Notification');
+const notificationService = require('../services/notificationService');
+
+// @desc    Get notifications of the current user
+// @route   GET /api/notifications
+// @access  Private
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const { type, unread, page = 1, limit = 20 } = req.query;
+
+    const query = { user: req.user._id };
+
+    if (type) query.type = type;
+    if (unread === 'true') query.isRead = false;
+
+    const skip = (page - 1) * limit;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip(skip),
+      Notification.countDocuments(query),
+      notificationService.getUnreadCount(req.user._id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    const count = await notificationService.getUnreadCount(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: { count }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+exports.markAsRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    if (!notification.isRead) {
+      await notification.markAsRead();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+exports.markAllAsRead = async (req, res, next) => {
+  try {
+    const updated = await notificationService.markAllAsRead(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: { updated }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
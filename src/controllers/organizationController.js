@@ -0,0 +1,349 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const organizationService = require('../services/organizationService');
+const usageService = require('../services/usageService');
+
+// @desc    Get organization profile
+// @route   GET /api/organization
+// @access  Private
+exports.getOrganization = async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.user.organization._id)
+      .select('-usage -limits')
+      .populate('owner', 'firstName lastName email');
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: organization
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update organization profile and branding
+// @route   PUT /api/organization
+// @access  Private (Admin)
+exports.updateOrganization = async (req, res, next) => {
+  try {
+    const organization = await organizationService.updateProfile(req.user.organization._id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: organization
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get subscription details and plan limits
+// @route   GET /api/organization/subscription
+// @access  Private (Admin)
+exports.getSubscription = async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.user.organization._id)
+      .select('subscription limits');
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        subscription: organization.subscription,
+        limits: organization.limits
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Transfer ownership to another member
+// @route   POST /api/organization/transfer-ownership
+// @access  Private (Admin, owner only)
+exports.transferOwnership = async (req, res, next) => {
+  try {
+    const { organization, owner } = await organizationService.transferOwnership(
+      req.user.organization,
+      req.user,
+      req.body.userId
+    );
+
+    res.status(200).json({
+      success: true,
+      data: organization,
+      message: `Ownership transferred to ${owner.email}`
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Deactivate the organization
+// @route   POST /api/organization/deactivate
+// @access  Private (Admin, owner only)
+exports.deactivateOrganization = async (req, res, next) => {
+  try {
+    // Guard against accidental deactivation
+    if (req.body.confirmName !== req.user.organization.name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Organization name does not match'
+      });
+    }
+
+    await organizationService.deactivate(req.user.organization, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Organization deactivated'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get organization members
+// @route   GET /api/organization/members
+// @access  Private (Admin/Manager)
+exports.getMembers = async (req, res, next) => {
+  try {
+    const { role, isActive, search } = req.query;
+
+    const query = { organization: req.user.organization._id };
+
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      query.$or = [
+        { firstName: { $regex: search, $options: 'i' } },
+        { lastName: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const members = await User.find(query)
+      .select('firstName lastName email avatar role isActive isEmailVerified lastLogin createdAt')
+      .sort({ firstName: 1, lastName: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: members.length,
+      data: members
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a member's role or deactivate/reactivate them
+// @route   PUT /api/organization/members/:id
+// @access  Private (Admin)
+exports.updateMember = async (req, res, next) => {
+  try {
+    const member = await organizationService.updateMember(
+      req.user.organization,
+      req.params.id,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      data: member
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get auto-reply policy
+// @route   GET /api/organization/auto-reply
+// @access  Private
+exports.getAutoReplyPolicy = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: req.user.organization.autoReply
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update auto-reply policy
+// @route   PUT /api/organization/auto-reply
+// @access  Private (Admin/Manager)
+exports.updateAutoReplyPolicy = async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.user.organization._id);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+
+    // Nested quietHours is merged so a partial update keeps the other fields
+    const { quietHours, ...policy } = req.body;
+
+    Object.entries(policy).forEach(([key, value]) => {
+      organization.autoReply[key] = value;
+    });
+    if (quietHours) {
+      Object.entries(quietHours).forEach(([key, value]) => {
+        organization.autoReply.quietHours[key] = value;
+      });
+    }
+
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      data: organization.autoReply
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get security settings
+// @route   GET /api/organization/security
+// @access  Private (Admin)
+exports.getSecuritySettings = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: req.user.organization.security
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update security settings
+// @route   PUT /api/organization/security
+// @access  Private (Admin)
+exports.updateSecuritySettings = async (req, res, next) => {
+  try {
+    const organization = await Organization.findByIdAndUpdate(
+      req.user.organization._id,
+      { 'security.requireEmailVerification': req.body.requireEmailVerification },
+      { new: true, runValidators: true }
+    );
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: organization.security
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get AI provider settings
+// @route   GET /api/organization/ai
+// @access  Private (Admin)
+exports.getAISettings = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: req.user.organization.ai
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update AI provider settings (null falls back to the server default)
+// @route   PUT /api/organization/ai
+// @access  Private (Admin)
+exports.updateAISettings = async (req, res, next) => {
+  try {
+    const $set = {};
+    const $unset = {};
+    Object.entries(req.body).forEach(([key, value]) => {
+      if (value) {
+        $set[`ai.${key}`] = value;
+      } else {
+        $unset[`ai.${key}`] = 1;
+      }
+    });
+
+    const organization = await Organization.findByIdAndUpdate(
+      req.user.organization._id,
+      { $set, $unset },
+      { new: true, runValidators: true }
+    );
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: organization.ai
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get plan usage and limits for the current billing period
+// @route   GET /api/organization/usage
+// @access  Private
+exports.getUsage = async (req, res, next) => {
+  try {
+    // Counters change constantly, so read them fresh rather than from req.user
+    const organization = await Organization.findById(req.user.organization._id);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: usageService.getSummary(organization)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
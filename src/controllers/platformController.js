@@ -1,7 +1,10 @@
 const PlatformConnection = require('../models/PlatformConnection');
 const googleService = require('../integrations/google/googleService');
 const youtubeService = require('../integrations/google/youtubeService');
-const crypto = require('crypto');
+const { getAdapter, getCapabilities } = require('../integrations/platforms');
+const metaConnectionService = require('../services/metaConnectionService');
+const syncScheduler = require('../services/syncScheduler');
+const usageService = require('../services/usageService');
 
 /**
  * @desc    Initiate Google OAuth flow
@@ -11,35 +14,12 @@ const crypto = require('crypto');
 exports.initiateGoogleConnection = async (req, res, next) => {
   try {
     const { type = 'reviews' } = req.query; // 'reviews' or 'youtube'
-    
-    // Generate state token for security
-    const state = crypto.randomBytes(32).toString('hex');
-    
-    // Store state in session or cache (for production, use Redis)
-    // For now, we'll include organization ID in state
-    const stateData = {
-      organizationId: req.user.organization._id.toString(),
-      userId: req.user._id.toString(),
-      type: type,
-      timestamp: Date.now()
-    };
-    
-    const encodedState = Buffer.from(JSON.stringify(stateData)).toString('base64');
-    
-    // Get authorization URL based on type
-    let authUrl;
-    if (type === 'youtube') {
-      authUrl = youtubeService.getAuthorizationUrl(encodedState);
-    } else {
-      authUrl = googleService.getAuthorizationUrl(encodedState);
-    }
+
+    const data = await getAdapter(type === 'youtube' ? 'youtube' : 'google').connect(req.user);
 
     res.status(200).json({
       success: true,
-      data: {
-        authorizationUrl: authUrl,
-        state: encodedState
-      }
+      data
     });
   } catch (error) {
     next(error);
@@ -114,6 +94,12 @@ exports.handleGoogleCallback = async (req, res, next) => {
         platformUserId: userInfo.platformUserId
       });
 
+      // New or previously disconnected connections take a plan slot
+      const takesSlot = !platformConnection || !platformConnection.isActive;
+      if (takesSlot) {
+        await usageService.reserve(organizationId, 'platforms');
+      }
+
       if (platformConnection) {
         // Update existing connection
         platformConnection.accessToken = tokens.accessToken;
@@ -122,7 +108,6 @@ exports.handleGoogleCallback = async (req, res, next) => {
         platformConnection.platformData = platformData;
         platformConnection.status = 'connected';
         platformConnection.isActive = true;
-        platformConnection.lastSyncAt = new Date();
       } else {
         // Create new connection
         platformConnection = new PlatformConnection({
@@ -144,15 +129,25 @@ exports.handleGoogleCallback = async (req, res, next) => {
         });
       }
 
-      await platformConnection.save();
+      try {
+        await platformConnection.save();
+      } catch (saveError) {
+        if (takesSlot) {
+          await usageService.release(organizationId, 'platforms');
+        }
+        throw saveError;
+      }
+
+      // Schedule automatic syncs
+      await syncScheduler.schedule(platformConnection);
 
       // Trigger initial sync
       try {
-        if (platform === 'youtube') {
-          await youtubeService.fetchAllChannelComments(platformConnection);
-        } else {
-          await googleService.fetchAllReviews(platformConnection);
-        }
+        const startedAt = new Date();
+        const result = await getAdapter(platform).sync(platformConnection, {
+          syncTypes: platformConnection.getEnabledSyncTypes()
+        });
+        await platformConnection.updateSyncStats(result.count, true, startedAt);
       } catch (syncError) {
         console.error('Initial sync error:', syncError);
         // Don't fail the connection if sync fails
@@ -162,8 +157,141 @@ exports.handleGoogleCallback = async (req, res, next) => {
       res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:4200'}/app/settings?connected=${platform}&success=true`);
     } catch (error) {
       console.error('OAuth callback error:', error);
-      res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:4200'}/app/settings?error=${encodeURIComponent(error.message)}`);
+      const reason = error.code === 'PLAN_LIMIT_REACHED' ? 'plan_limit_reached' : error.message;
+      res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:4200'}/app/settings?error=${encodeURIComponent(reason)}`);
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Initiate Facebook Login for Facebook Pages and Instagram Business accounts
+ * @route   GET /api/platforms/meta/connect
+ * @access  Private
+ */
+exports.initiateMetaConnection = async (req, res, next) => {
+  try {
+    // Pages and Instagram accounts share Facebook Login
+    const data = await getAdapter('facebook').connect(req.user);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Handle Facebook Login callback, then send the user to pick accounts
+ * @route   GET /api/platforms/meta/callback
+ * @access  Public (called by Facebook, state verified)
+ */
+exports.handleMetaCallback = async (req, res, next) => {
+  const settingsUrl = `${process.env.FRONTEND_URL || 'http://localhost:4200'}/app/settings`;
+
+  try {
+    const { code, state, error } = req.query;
+
+    if (error) {
+      return res.redirect(`${settingsUrl}?error=${encodeURIComponent(error)}`);
+    }
+
+    if (!code || !state) {
+      return res.redirect(`${settingsUrl}?error=missing_parameters`);
+    }
+
+    const stateData = await metaConnectionService.consumeState(state);
+
+    if (!stateData) {
+      return res.redirect(`${settingsUrl}?error=invalid_state`);
+    }
+
+    const selectionId = await metaConnectionService.createSelection(stateData, code);
+
+    res.redirect(`${settingsUrl}?meta_selection=${selectionId}`);
+  } catch (error) {
+    console.error('Meta OAuth callback error:', error);
+    res.redirect(`${settingsUrl}?error=${encodeURIComponent(error.message)}`);
+  }
+};
+
+/**
+ * @desc    List Facebook Pages and linked Instagram accounts from a Facebook Login
+ * @route   GET /api/platforms/meta/accounts?selection=
+ * @access  Private
+ */
+exports.getMetaAccounts = async (req, res, next) => {
+  try {
+    const selection = await metaConnectionService.getSelection(
+      req.query.selection,
+      req.user.organization._id
+    );
+
+    const accounts = await metaConnectionService.listAccounts(selection);
+
+    res.status(200).json({
+      success: true,
+      data: accounts
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Connect the chosen Facebook Pages and Instagram accounts
+ * @route   POST /api/platforms/meta/accounts
+ * @access  Private
+ */
+exports.connectMetaAccounts = async (req, res, next) => {
+  try {
+    const selection = await metaConnectionService.getSelection(
+      req.body.selection,
+      req.user.organization._id
+    );
+
+    const results = await metaConnectionService.connect(selection, req.body.accounts);
+    const connected = results.filter(result => result.status === 'connected').length;
+
+    if (connected === 0) {
+      const limitReached = results.some(result => result.code === 'PLAN_LIMIT_REACHED');
+      return res.status(limitReached ? 402 : 400).json({
+        success: false,
+        error: results[0].error,
+        data: results
+      });
     }
+
+    res.status(201).json({
+      success: true,
+      data: results,
+      message: `${connected} of ${results.length} accounts connected`
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get what each supported platform can do (sync, reply, hide, ...)
+ * @route   GET /api/platforms/capabilities
+ * @access  Private
+ */
+exports.getPlatformCapabilities = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: getCapabilities()
+    });
   } catch (error) {
     next(error);
   }
@@ -237,10 +365,27 @@ exports.disconnectPlatform = async (req, res, next) => {
       });
     }
 
+    const wasActive = connection.isActive;
+
     connection.isActive = false;
     connection.status = 'disconnected';
     await connection.save();
 
+    if (wasActive) {
+      await usageService.release(connection.organization, 'platforms');
+    }
+
+    await syncScheduler.unschedule(connection);
+
+    // Drop the page's webhook subscription once nothing uses it
+    if (connection.platformData?.pageId && ['facebook', 'instagram'].includes(connection.platform)) {
+      try {
+        await metaConnectionService.syncPageSubscription(connection.platformData.pageId);
+      } catch (error) {
+        console.error('Webhook unsubscribe error:', error.message);
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: 'Platform disconnected successfully'
@@ -250,6 +395,44 @@ exports.disconnectPlatform = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Update platform sync settings
+ * @route   PUT /api/platforms/:id/settings
+ * @access  Private (Admin/Manager)
+ */
+exports.updatePlatformSettings = async (req, res, next) => {
+  try {
+    const connection = await PlatformConnection.findOne({
+      _id: req.params.id,
+      organization: req.user.organization._id,
+      isActive: true
+    });
+
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Platform connection not found'
+      });
+    }
+
+    Object.keys(req.body).forEach(key => {
+      connection.settings[key] = req.body[key];
+    });
+
+    await connection.save();
+
+    // Pick up the new interval / enabled content types
+    await syncScheduler.schedule(connection);
+
+    res.status(200).json({
+      success: true,
+      data: connection.settings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Sync platform data manually
  * @route   POST /api/platforms/:id/sync
@@ -270,35 +453,35 @@ exports.syncPlatform = async (req, res, next) => {
       });
     }
 
-    // Ensure token is valid
-    if (connection.platform === 'youtube') {
-      await youtubeService.ensureValidToken(connection);
-      const result = await youtubeService.fetchAllChannelComments(connection);
-      
-      res.status(200).json({
-        success: true,
-        message: 'Sync completed',
-        data: {
-          interactionsAdded: result.count
-        }
-      });
-    } else if (connection.platform === 'google') {
-      await googleService.ensureValidToken(connection);
-      const result = await googleService.fetchAllReviews(connection);
-      
-      res.status(200).json({
-        success: true,
-        message: 'Sync completed',
-        data: {
-          interactionsAdded: result.count
-        }
-      });
-    } else {
+    const adapter = getAdapter(connection.platform);
+
+    if (!adapter.supports('sync')) {
       return res.status(400).json({
         success: false,
-        error: 'Platform sync not implemented'
+        error: `${connection.platform} messages arrive by webhook and can't be synced`
       });
     }
+
+    const startedAt = new Date();
+
+    // Ensure token is valid
+    await adapter.refreshToken(connection);
+    const result = await adapter.sync(connection, {
+      since: connection.lastSyncAt,
+      syncTypes: connection.getEnabledSyncTypes()
+    });
+
+    // A successful sync clears the error status and resets the scheduled backoff
+    await connection.updateSyncStats(result.count, true, startedAt);
+    await syncScheduler.schedule(connection);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sync completed',
+      data: {
+        interactionsAdded: result.count
+      }
+    });
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,296 @@
+const ResponseTemplate = require('../models/ResponseTemplate');
+const Interaction = require('../models/Interaction');
+
+// @desc    Get all response templates
+// @route   GET /api/templates
+// @access  Private
+exports.getTemplates = async (req, res, next) => {
+  try {
+    const { platform, type, sentiment, category, search, isActive } = req.query;
+
+    const query = { organization: req.user.organization._id };
+    const conditions = [];
+
+    if (category) query.category = category;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    // Templates with no restriction on a field apply to every value
+    if (platform) conditions.push(applicableCondition('platforms', platform));
+    if (type) conditions.push(applicableCondition('types', type));
+    if (sentiment) conditions.push(applicableCondition('sentiments', sentiment));
+
+    if (search) {
+      conditions.push({
+        $or: [
+          { name: { $regex: search, $options: 'i' } },
+          { content: { $regex: search, $options: 'i' } }
+        ]
+      });
+    }
+
+    if (conditions.length > 0) query.$and = conditions;
+
+    const templates = await ResponseTemplate.find(query)
+      .sort({ usageCount: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get variables available for autocomplete
+// @route   GET /api/templates/variables
+// @access  Private
+exports.getVariables = async (req, res, next) => {
+  try {
+    const builtIn = Object.entries(ResponseTemplate.BUILT_IN_VARIABLES)
+      .map(([name, { description }]) => ({ name, description }));
+
+    // Custom variables already used in this organization's templates
+    const used = await ResponseTemplate.distinct('variables', {
+      organization: req.user.organization._id
+    });
+    const custom = used.filter(name => !ResponseTemplate.BUILT_IN_VARIABLES[name]).sort();
+
+    res.status(200).json({
+      success: true,
+      data: { builtIn, custom }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Suggest templates for an interaction
+// @route   GET /api/templates/suggest?interactionId=
+// @access  Private
+exports.suggestTemplates = async (req, res, next) => {
+  try {
+    const { interactionId, limit = 5 } = req.query;
+
+    if (!interactionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'interactionId is required'
+      });
+    }
+
+    const interaction = await Interaction.findOne({
+      _id: interactionId,
+      organization: req.user.organization._id
+    });
+
+    if (!interaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Interaction not found'
+      });
+    }
+
+    const templates = await ResponseTemplate.find({
+      organization: req.user.organization._id,
+      isActive: true
+    }).sort({ usageCount: -1, lastUsedAt: -1 });
+
+    const variables = ResponseTemplate.getInteractionVariables(interaction);
+
+    const suggestions = templates
+      .filter(template => template.isApplicableTo(interaction))
+      .slice(0, parseInt(limit))
+      .map(template => ({
+        template,
+        preview: template.preview(variables)
+      }));
+
+    res.status(200).json({
+      success: true,
+      data: suggestions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single response template
+// @route   GET /api/templates/:id
+// @access  Private
+exports.getTemplate = async (req, res, next) => {
+  try {
+    const template = await ResponseTemplate.findOne({
+      _id: req.params.id,
+      organization: req.user.organization._id
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create response template
+// @route   POST /api/templates
+// @access  Private (Admin/Manager)
+exports.createTemplate = async (req, res, next) => {
+  try {
+    const { name, content, category, applicableFor } = req.body;
+
+    const template = await ResponseTemplate.create({
+      organization: req.user.organization._id,
+      name,
+      content,
+      category,
+      applicableFor,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update response template
+// @route   PUT /api/templates/:id
+// @access  Private (Admin/Manager)
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    const template = await ResponseTemplate.findOne({
+      _id: req.params.id,
+      organization: req.user.organization._id
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    const allowedUpdates = ['name', 'content', 'category', 'applicableFor', 'isActive'];
+    allowedUpdates.forEach(key => {
+      if (req.body[key] !== undefined) {
+        template[key] = req.body[key];
+      }
+    });
+
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete response template
+// @route   DELETE /api/templates/:id
+// @access  Private (Admin/Manager)
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    const template = await ResponseTemplate.findOne({
+      _id: req.params.id,
+      organization: req.user.organization._id
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    await template.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Preview a template rendered against an interaction
+// @route   POST /api/templates/:id/preview
+// @access  Private
+exports.previewTemplate = async (req, res, next) => {
+  try {
+    const { interactionId, variables = {} } = req.body;
+
+    const template = await ResponseTemplate.findOne({
+      _id: req.params.id,
+      organization: req.user.organization._id
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    let builtInValues = {};
+
+    if (interactionId) {
+      const interaction = await Interaction.findOne({
+        _id: interactionId,
+        organization: req.user.organization._id
+      });
+
+      if (!interaction) {
+        return res.status(404).json({
+          success: false,
+          error: 'Interaction not found'
+        });
+      }
+
+      builtInValues = ResponseTemplate.getInteractionVariables(interaction);
+    }
+
+    // Values typed by the agent win over auto-filled ones
+    const values = { ...builtInValues, ...variables };
+    const preview = template.preview(values);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        content: preview.content,
+        variables: values,
+        missingVariables: preview.missingVariables
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Match templates whose applicableFor list includes the value or is empty
+ */
+function applicableCondition(field, value) {
+  return {
+    $or: [
+      { [`applicableFor.${field}`]: value },
+      { [`applicableFor.${field}`]: { $size: 0 } }
+    ]
+  };
+}
@@ -2,7 +2,14 @@ const Interaction = require('../models/Interaction');
 const PlatformConnection = require('../models/PlatformConnection');
 const googleService = require('../integrations/google/googleService');
 const youtubeService = require('../integrations/google/youtubeService');
-const { processWebhook } = require('../jobs/processWebhook');
+const { webhookQueue } = require('../config/queue');
+
+// Meta webhook `object` values mapped to our platform names
+const META_OBJECT_PLATFORMS = {
+  instagram: 'instagram',
+  page: 'facebook',
+  whatsapp_business_account: 'whatsapp'
+};
 
 /**
  * @desc    Handle Google Business Profile webhook
@@ -44,11 +51,11 @@ exports.handleGoogleWebhook = async (req, res, next) => {
         await googleService.fetchReviews(connection, locationId);
         
         // Queue for AI processing
-        await processWebhook({
+        await webhookQueue.add({
           platform: 'google',
-          type: 'review',
-          platformId: reviewId,
-          organizationId: connection.organization
+          payload: messageData,
+          organizationId: connection.organization,
+          platformConnectionId: connection._id
         });
       } catch (error) {
         console.error('Error processing Google webhook:', error);
@@ -103,11 +110,11 @@ exports.handleYouTubeWebhook = async (req, res, next) => {
         await youtubeService.fetchVideoComments(connection, videoId);
         
         // Queue for AI processing
-        await processWebhook({
+        await webhookQueue.add({
           platform: 'youtube',
-          type: 'comment',
-          platformId: commentId,
-          organizationId: connection.organization
+          payload: messageData,
+          organizationId: connection.organization,
+          platformConnectionId: connection._id
         });
       } catch (error) {
         console.error('Error processing YouTube webhook:', error);
@@ -168,6 +175,103 @@ exports.verifyYouTubeWebhook = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Verify Meta webhook subscription (hub.challenge handshake)
+ * @route   GET /api/webhooks/meta
+ * @route   GET /api/webhooks/meta/:product
+ * @access  Public (called by Meta)
+ */
+exports.verifyMetaWebhook = async (req, res, next) => {
+  try {
+    const mode = req.query['hub.mode'];
+    const token = req.query['hub.verify_token'];
+    const challenge = req.query['hub.challenge'];
+
+    if (mode === 'subscribe' && process.env.META_VERIFY_TOKEN && token === process.env.META_VERIFY_TOKEN) {
+      res.status(200).send(challenge);
+    } else {
+      res.status(403).send('Verification failed');
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Handle Instagram, Facebook and WhatsApp webhooks
+ * @route   POST /api/webhooks/meta
+ * @route   POST /api/webhooks/meta/:product (instagram, facebook, whatsapp)
+ * @access  Public (called by Meta, signature verified)
+ */
+exports.handleMetaWebhook = async (req, res, next) => {
+  try {
+    const { object, entry } = req.body;
+    const platform = req.params.product || META_OBJECT_PLATFORMS[object];
+
+    if (!platform || !Object.values(META_OBJECT_PLATFORMS).includes(platform) || !Array.isArray(entry)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook payload'
+      });
+    }
+
+    // Each entry belongs to a single page/account, which several organizations
+    // may have connected, so queue it once per connection
+    for (const item of entry) {
+      try {
+        const connections = await findMetaConnections(platform, item);
+
+        if (connections.length === 0) {
+          console.log(`No active ${platform} connection found for entry ${item.id}`);
+          continue;
+        }
+
+        for (const connection of connections) {
+          await webhookQueue.add({
+            platform,
+            payload: { object, entry: [item] },
+            organizationId: connection.organization,
+            platformConnectionId: connection._id
+          });
+        }
+      } catch (error) {
+        console.error(`Error queueing ${platform} webhook entry ${item.id}:`, error);
+      }
+    }
+
+    // Always return 200 to acknowledge receipt
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Meta webhook error:', error);
+    // Still return 200 to prevent retries
+    res.status(200).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Resolve the active PlatformConnections of a Meta webhook entry's page/account
+ */
+async function findMetaConnections(platform, entry) {
+  let query;
+
+  if (platform === 'whatsapp') {
+    const phoneNumberId = entry.changes?.[0]?.value?.metadata?.phone_number_id;
+    query = phoneNumberId
+      ? { 'platformData.phoneNumberId': phoneNumberId }
+      : { 'platformData.businessAccountId': entry.id };
+  } else if (platform === 'instagram') {
+    query = { 'platformData.businessAccountId': entry.id };
+  } else {
+    query = { 'platformData.pageId': entry.id };
+  }
+
+  return PlatformConnection.find({
+    platform,
+    isActive: true,
+    ...query
+  });
+}
+
 /**
  * @desc    Health check for webhooks
  * @route   GET /api/webhooks/health
@@ -1,6 +1,9 @@
 const axios = require('axios');
-const Interaction = require('../../models/Interaction');
 const PlatformConnection = require('../../models/PlatformConnection');
+const ingestionService = require('../../services/ingestionService');
+
+// Google reports star ratings as words
+const STAR_RATINGS = { ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5 };
 
 class GoogleService {
   constructor() {
@@ -161,15 +164,7 @@ class GoogleService {
 
       for (const review of reviews) {
         try {
-          // Check if interaction already exists
-          const existingInteraction = await Interaction.findOne({
-            platformId: review.reviewId,
-            organization: platformConnection.organization
-          });
-
-          if (existingInteraction) {
-            continue; // Skip if already exists
-          }
+          const rating = STAR_RATINGS[review.starRating] || null;
 
           // Create interaction from review
           const interaction = {
@@ -194,7 +189,7 @@ class GoogleService {
             },
             
             // Review-specific data
-            rating: review.starRating || null,
+            rating: rating,
             reviewDate: review.createTime ? new Date(review.createTime) : new Date(),
             
             // Status
@@ -210,33 +205,33 @@ class GoogleService {
               reviewId: review.reviewId,
               reviewReply: review.reviewReply || null,
               starRating: review.starRating,
+              rating: rating,
               locationId: locationId
             }
           };
 
           // Determine sentiment based on rating
-          if (review.starRating) {
-            if (review.starRating >= 4) {
+          if (rating) {
+            if (rating >= 4) {
               interaction.sentiment = 'positive';
-            } else if (review.starRating <= 2) {
+            } else if (rating <= 2) {
               interaction.sentiment = 'negative';
             } else {
               interaction.sentiment = 'neutral';
             }
           }
 
-          interactions.push(interaction);
+          // Store (deduplicated), counting only reviews we hadn't seen yet
+          const { isNew } = await ingestionService.ingest(interaction);
+          if (isNew) {
+            interactions.push(interaction);
+          }
         } catch (error) {
           console.error(`Error processing review ${review.reviewId}:`, error.message);
           continue;
         }
       }
 
-      // Bulk insert interactions
-      if (interactions.length > 0) {
-        await Interaction.insertMany(interactions, { ordered: false });
-      }
-
       return {
         success: true,
         count: interactions.length,
@@ -274,9 +269,6 @@ class GoogleService {
         }
       }
 
-      // Update sync stats
-      await platformConnection.updateSyncStats(totalCount, true);
-
       return {
         success: true,
         count: totalCount,
@@ -316,7 +308,9 @@ class GoogleService {
         review: response.data
       };
     } catch (error) {
-      throw new Error(`Failed to reply to review: ${error.message}`);
+      // Rethrow the original error so replyService still sees the HTTP status
+      error.message = `Failed to reply to review: ${error.message}`;
+      throw error;
     }
   }
 
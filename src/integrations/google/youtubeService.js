@@ -1,6 +1,6 @@
 const axios = require('axios');
-const Interaction = require('../../models/Interaction');
 const PlatformConnection = require('../../models/PlatformConnection');
+const ingestionService = require('../../services/ingestionService');
 
 class YouTubeService {
   constructor() {
@@ -127,16 +127,6 @@ class YouTubeService {
           const topLevelComment = thread.snippet.topLevelComment.snippet;
           const commentId = thread.id;
 
-          // Check if interaction already exists
-          const existingInteraction = await Interaction.findOne({
-            platformId: commentId,
-            organization: platformConnection.organization
-          });
-
-          if (existingInteraction) {
-            continue;
-          }
-
           // Determine sentiment (basic - can be enhanced with AI)
           let sentiment = 'neutral';
           const text = topLevelComment.textDisplay.toLowerCase();
@@ -194,7 +184,11 @@ class YouTubeService {
             }
           };
 
-          interactions.push(interaction);
+          // Store (deduplicated), counting only comments we hadn't seen yet
+          const { isNew } = await ingestionService.ingest(interaction);
+          if (isNew) {
+            interactions.push(interaction);
+          }
 
           // Process replies if any
           if (thread.replies && thread.replies.comments) {
@@ -202,16 +196,6 @@ class YouTubeService {
               try {
                 const replySnippet = reply.snippet;
 
-                // Check if reply already exists
-                const existingReply = await Interaction.findOne({
-                  platformId: reply.id,
-                  organization: platformConnection.organization
-                });
-
-                if (existingReply) {
-                  continue;
-                }
-
                 const replyInteraction = {
                   organization: platformConnection.organization,
                   platformConnection: platformConnection._id,
@@ -254,7 +238,10 @@ class YouTubeService {
                   }
                 };
 
-                interactions.push(replyInteraction);
+                const { isNew: isNewReply } = await ingestionService.ingest(replyInteraction);
+                if (isNewReply) {
+                  interactions.push(replyInteraction);
+                }
               } catch (error) {
                 console.error(`Error processing reply ${reply.id}:`, error.message);
                 continue;
@@ -267,11 +254,6 @@ class YouTubeService {
         }
       }
 
-      // Bulk insert interactions
-      if (interactions.length > 0) {
-        await Interaction.insertMany(interactions, { ordered: false });
-      }
-
       return {
         success: true,
         count: interactions.length,
@@ -313,9 +295,6 @@ class YouTubeService {
         }
       }
 
-      // Update sync stats
-      await platformConnection.updateSyncStats(totalCount, true);
-
       return {
         success: true,
         count: totalCount,
@@ -378,7 +357,9 @@ class YouTubeService {
         comment: response.data
       };
     } catch (error) {
-      throw new Error(`Failed to reply to comment: ${error.message}`);
+      // Rethrow the original error so replyService still sees the HTTP status
+      error.message = `Failed to reply to comment: ${error.message}`;
+      throw error;
     }
   }
 
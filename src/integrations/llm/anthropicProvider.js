@@ -0,0 +1,58 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({ model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest', ...options });
+    this.name = 'anthropic';
+    this.apiKey = options.apiKey ?? process.env.ANTHROPIC_API_KEY;
+    this.apiUrl = 'https://api.anthropic.com/v1/messages';
+  }
+
+  async sendChat(request) {
+    // System prompts are a top-level field rather than a message
+    const system = request.messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+    const messages = request.messages.filter(message => message.role !== 'system');
+
+    const response = await axios.post(
+      this.apiUrl,
+      {
+        model: this.model,
+        system: system || undefined,
+        messages,
+        temperature: request.temperature,
+        max_tokens: request.maxTokens || 1024
+      },
+      {
+        headers: {
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01',
+          'Content-Type': 'application/json'
+        },
+        timeout: this.timeout
+      }
+    );
+
+    const content = response.data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('')
+      .trim();
+
+    return {
+      content,
+      usage: {
+        inputTokens: response.data.usage?.input_tokens || 0,
+        outputTokens: response.data.usage?.output_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,42 @@
+const OpenAIProvider = require('./openaiProvider');
+
+/**
+ * Azure OpenAI: the deployment picks the model, auth uses an api-key header
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    const endpoint = (options.endpoint || process.env.AZURE_OPENAI_ENDPOINT || '').replace(/\/$/, '');
+    const deployment = options.model || process.env.AZURE_OPENAI_DEPLOYMENT;
+    const apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+    const embeddingDeployment = process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || null;
+
+    super({
+      ...options,
+      name: 'azure_openai',
+      model: deployment,
+      apiKey: options.apiKey ?? process.env.AZURE_OPENAI_API_KEY,
+      apiUrl: `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`,
+      embeddingModel: embeddingDeployment,
+      embeddingUrl: `${endpoint}/openai/deployments/${embeddingDeployment}/embeddings?api-version=${apiVersion}`
+    });
+  }
+
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'api-key': this.apiKey
+    };
+  }
+
+  getBody(request) {
+    // Deployment is in the URL, so no model in the body
+    const { model, ...body } = super.getBody(request);
+    return body;
+  }
+
+  getEmbeddingBody(texts) {
+    return { input: texts };
+  }
+}
+
+module.exports = AzureOpenAIProvider;
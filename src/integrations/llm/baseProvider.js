@@ -0,0 +1,98 @@
+/**
+ * Base class for LLM providers.
+ *
+ * Providers implement `sendChat(request)` and return { content, usage }.
+ * A request is { messages, temperature, maxTokens, task } where messages use
+ * OpenAI roles (system/user/assistant) and task is a hint such as 'analysis'.
+ * Providers with an embeddings API also set `embeddingModel` and implement
+ * `sendEmbed(texts)`, returning one vector per text.
+ */
+class BaseProvider {
+  constructor(options = {}) {
+    this.name = 'base';
+    this.model = options.model;
+    this.timeout = options.timeout || parseInt(process.env.AI_TIMEOUT_MS) || 30000;
+    this.maxRetries = options.maxRetries ?? (parseInt(process.env.AI_MAX_RETRIES) || 2);
+    this.embeddingModel = null;
+  }
+
+  /**
+   * Send a chat request
+   */
+  async chat(request) {
+    return this.withRetry(() => this.sendChat(request));
+  }
+
+  /**
+   * Embed a batch of texts
+   */
+  async embed(texts) {
+    if (!this.supportsEmbeddings()) {
+      throw new Error(`${this.name} provider does not support embeddings`);
+    }
+    return this.withRetry(() => this.sendEmbed(texts));
+  }
+
+  supportsEmbeddings() {
+    return Boolean(this.embeddingModel);
+  }
+
+  /**
+   * Identifies vectors from this provider, so vectors from different models are never compared
+   */
+  getEmbeddingId() {
+    return `${this.name}:${this.embeddingModel}`;
+  }
+
+  /**
+   * Run a request, retrying rate limits (429) and server errors (5xx)
+   */
+  async withRetry(fn) {
+    let attempt = 0;
+
+    for (;;) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (attempt >= this.maxRetries || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        console.warn(`${this.name} request failed (${error.response?.status || error.code}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        attempt++;
+      }
+    }
+  }
+
+  async sendChat() {
+    throw new Error(`${this.name} provider does not implement sendChat`);
+  }
+
+  async sendEmbed() {
+    throw new Error(`${this.name} provider does not implement sendEmbed`);
+  }
+
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (status) {
+      return status === 429 || status >= 500;
+    }
+    // Network errors and timeouts
+    return ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED'].includes(error.code);
+  }
+
+  /**
+   * Honour Retry-After when the provider sends it, otherwise back off exponentially
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+    if (retryAfter > 0) {
+      return Math.min(retryAfter * 1000, 30000);
+    }
+    return 1000 * 2 ** attempt;
+  }
+}
+
+module.exports = BaseProvider;
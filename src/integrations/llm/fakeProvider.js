@@ -0,0 +1,92 @@
+const BaseProvider = require('./baseProvider');
+
+const POSITIVE_WORDS = ['great', 'awesome', 'love', 'amazing', 'excellent', 'good', 'nice', 'perfect', 'thanks'];
+const NEGATIVE_WORDS = ['bad', 'terrible', 'hate', 'awful', 'worst', 'disappointed', 'poor', 'broken', 'refund'];
+const TOXIC_WORDS = ['idiot', 'stupid', 'scam', 'hate you'];
+const URGENT_WORDS = ['urgent', 'asap', 'immediately', 'emergency'];
+const EMBEDDING_DIMENSIONS = 64;
+
+/**
+ * Deterministic offline provider for tests and local development.
+ * Answers from keyword rules, never touches the network.
+ */
+class FakeProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({ model: 'fake', maxRetries: 0, ...options });
+    this.name = 'fake';
+    this.embeddingModel = 'hashed-bow';
+    this.requests = [];
+  }
+
+  /**
+   * Hashed bag-of-words vectors: texts sharing words get similar vectors
+   */
+  async sendEmbed(texts) {
+    return texts.map(text => {
+      const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+      const words = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+
+      words.forEach(word => {
+        let hash = 0;
+        for (const char of word) {
+          hash = (hash * 31 + char.charCodeAt(0)) % EMBEDDING_DIMENSIONS;
+        }
+        vector[hash] += 1;
+      });
+
+      return vector;
+    });
+  }
+
+  async sendChat(request) {
+    this.requests.push(request);
+
+    const text = request.messages
+      .filter(message => message.role === 'user')
+      .map(message => message.content)
+      .join('\n');
+
+    const content = request.task === 'analysis'
+      ? JSON.stringify(this.analyze(text))
+      : 'Thank you for reaching out! Our team will get back to you shortly.';
+
+    return {
+      content,
+      usage: { inputTokens: Math.ceil(text.length / 4), outputTokens: Math.ceil(content.length / 4) }
+    };
+  }
+
+  analyze(text) {
+    const lower = text.toLowerCase();
+    const count = words => words.filter(word => lower.includes(word)).length;
+
+    const positive = count(POSITIVE_WORDS);
+    const negative = count(NEGATIVE_WORDS);
+    const toxic = count(TOXIC_WORDS) > 0;
+    const urgent = count(URGENT_WORDS) > 0;
+
+    let sentiment = 'neutral';
+    if (positive > negative) sentiment = 'positive';
+    if (negative > positive || toxic) sentiment = 'negative';
+
+    let intent = 'other';
+    if (sentiment === 'negative') intent = 'complaint';
+    else if (lower.includes('?')) intent = 'inquiry';
+    else if (sentiment === 'positive') intent = 'praise';
+
+    const score = sentiment === 'neutral' ? 0 : Math.min(0.3 + 0.2 * Math.max(positive, negative), 1);
+
+    return {
+      sentiment,
+      sentimentScore: sentiment === 'negative' ? -score : score,
+      confidence: sentiment === 'neutral' ? 0.6 : 0.9,
+      intent,
+      topics: [],
+      urgency: urgent ? 'urgent' : sentiment === 'negative' ? 'high' : 'low',
+      language: 'en',
+      toxicity: toxic ? 0.9 : 0
+    };
+  }
+}
+
+module.exports = FakeProvider;
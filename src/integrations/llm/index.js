@@ -0,0 +1,68 @@
+const OpenAIProvider = require('./openaiProvider');
+const AzureOpenAIProvider = require('./azureOpenAIProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const FakeProvider = require('./fakeProvider');
+
+const PROVIDERS = {
+  openai: options => new OpenAIProvider(options),
+  azure_openai: options => new AzureOpenAIProvider(options),
+  anthropic: options => new AnthropicProvider(options),
+  // Any OpenAI-compatible server, e.g. Ollama or vLLM
+  local: options => {
+    const baseUrl = (process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1').replace(/\/$/, '');
+    return new OpenAIProvider({
+      name: 'local',
+      model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+      apiKey: process.env.LOCAL_LLM_API_KEY || null,
+      apiUrl: `${baseUrl}/chat/completions`,
+      embeddingModel: process.env.LOCAL_EMBEDDING_MODEL || 'nomic-embed-text',
+      embeddingUrl: `${baseUrl}/embeddings`,
+      ...options
+    });
+  },
+  fake: options => new FakeProvider(options)
+};
+
+const cache = new Map();
+
+/**
+ * Get a provider by name (defaults to AI_PROVIDER), optionally with a model override.
+ * Instances are reused per provider/model pair.
+ */
+const getProvider = (name = process.env.AI_PROVIDER || 'openai', model = null) => {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+
+  const key = `${name}:${model || ''}`;
+  if (!cache.has(key)) {
+    cache.set(key, PROVIDERS[name](model ? { model } : {}));
+  }
+
+  return cache.get(key);
+};
+
+/**
+ * Get the provider used for knowledge base embeddings (EMBEDDING_PROVIDER).
+ * Returns null when none is configured, so callers can fall back to keyword search.
+ */
+const getEmbeddingProvider = (name = process.env.EMBEDDING_PROVIDER) => {
+  if (!name) {
+    return null;
+  }
+
+  const provider = getProvider(name);
+  if (!provider.supportsEmbeddings()) {
+    throw new Error(`AI provider ${name} does not support embeddings`);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getProvider,
+  getEmbeddingProvider,
+  providerNames: Object.keys(PROVIDERS),
+  // Providers an organization may choose; fake is only for tests and AI_PROVIDER
+  organizationProviderNames: Object.keys(PROVIDERS).filter(name => name !== 'fake')
+};
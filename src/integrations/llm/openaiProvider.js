@@ -0,0 +1,70 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * OpenAI chat completions, also used for OpenAI-compatible APIs
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({ model: process.env.OPENAI_MODEL || 'gpt-4', ...options });
+    this.name = options.name || 'openai';
+    this.apiKey = options.apiKey ?? process.env.OPENAI_API_KEY;
+    this.apiUrl = options.apiUrl || 'https://api.openai.com/v1/chat/completions';
+    this.embeddingModel = options.embeddingModel !== undefined
+      ? options.embeddingModel
+      : process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+    this.embeddingUrl = options.embeddingUrl || 'https://api.openai.com/v1/embeddings';
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  getBody(request) {
+    return {
+      model: this.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens
+    };
+  }
+
+  async sendChat(request) {
+    const response = await axios.post(this.apiUrl, this.getBody(request), {
+      headers: this.getHeaders(),
+      timeout: this.timeout
+    });
+
+    return {
+      content: response.data.choices[0].message.content.trim(),
+      usage: {
+        inputTokens: response.data.usage?.prompt_tokens || 0,
+        outputTokens: response.data.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  getEmbeddingBody(texts) {
+    return {
+      model: this.embeddingModel,
+      input: texts
+    };
+  }
+
+  async sendEmbed(texts) {
+    const response = await axios.post(this.embeddingUrl, this.getEmbeddingBody(texts), {
+      headers: this.getHeaders(),
+      timeout: this.timeout
+    });
+
+    return response.data.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,492 @@
+const axios = require('axios');
+const ingestionService = require('../../services/ingestionService');
+
+class FacebookService {
+  constructor() {
+    this.apiVersion = 'v18.0';
+    this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
+  }
+
+  /**
+   * Get every item of a Graph API list, following paging.next up to maxPages
+   */
+  async paginate(url, params, maxPages = 10) {
+    const items = [];
+    let pages = 0;
+
+    while (url && pages < maxPages) {
+      const response = await axios.get(url, { params });
+      items.push(...(response.data.data || []));
+
+      // paging.next already carries every query parameter
+      url = response.data.paging?.next;
+      params = undefined;
+      pages += 1;
+    }
+
+    return items;
+  }
+
+  /**
+   * Store an interaction, adding it to the list when it is new
+   */
+  async store(interaction, interactions) {
+    const { interaction: stored, isNew } = await ingestionService.ingest(interaction);
+    if (isNew) {
+      interactions.push(stored);
+    }
+    return stored;
+  }
+
+  /**
+   * Messenger messages with the same person share a thread. Keyed by the
+   * person rather than the conversation id, which webhooks don't include.
+   */
+  getThreadId(platformConnection, personId) {
+    return `${platformConnection.platformData.pageId}:${personId}`;
+  }
+
+  /**
+   * Fetch comments on the page's recent posts, and posts visitors left on the page
+   */
+  async fetchComments(platformConnection) {
+    try {
+      const { accessToken, platformData } = platformConnection;
+      const { pageId } = platformData;
+
+      // The feed holds the page's own posts and visitor posts
+      const postsResponse = await axios.get(`${this.baseUrl}/${pageId}/feed`, {
+        params: {
+          access_token: accessToken,
+          fields: 'id,message,from,created_time,permalink_url',
+          limit: 25
+        }
+      });
+
+      const interactions = [];
+
+      for (const post of postsResponse.data.data || []) {
+        try {
+          if (post.from?.id && post.from.id !== pageId && post.message) {
+            await this.store({
+              organization: platformConnection.organization,
+              platformConnection: platformConnection._id,
+              platform: 'facebook',
+              type: 'comment',
+              platformId: post.id,
+              platformUrl: post.permalink_url,
+              content: post.message,
+              author: {
+                platformId: post.from.id,
+                name: post.from.name
+              },
+              metadata: {
+                postId: post.id,
+                postUrl: post.permalink_url,
+                postAuthor: post.from.name
+              },
+              platformCreatedAt: new Date(post.created_time),
+              status: 'unread'
+            }, interactions);
+          }
+
+          const comments = await this.paginate(`${this.baseUrl}/${post.id}/comments`, {
+            access_token: accessToken,
+            fields: 'id,message,from,created_time,permalink_url,parent{id},attachment,like_count,comment_count',
+            filter: 'stream',
+            limit: 100
+          });
+
+          for (const comment of comments) {
+            // Skip the page's own replies
+            if (!comment.from?.id || comment.from.id === pageId) continue;
+
+            const mediaUrl = comment.attachment?.media?.image?.src;
+
+            await this.store({
+              organization: platformConnection.organization,
+              platformConnection: platformConnection._id,
+              platform: 'facebook',
+              type: 'comment',
+              platformId: comment.id,
+              platformUrl: comment.permalink_url,
+              content: comment.message || '',
+              author: {
+                platformId: comment.from.id,
+                name: comment.from.name
+              },
+              parentId: comment.parent?.id,
+              metadata: {
+                postId: post.id,
+                postUrl: post.permalink_url,
+                postAuthor: post.from?.name,
+                mediaUrls: mediaUrl ? [mediaUrl] : [],
+                hasMedia: Boolean(mediaUrl)
+              },
+              engagement: {
+                likes: comment.like_count || 0,
+                replyCount: comment.comment_count || 0
+              },
+              platformCreatedAt: new Date(comment.created_time),
+              status: 'unread'
+            }, interactions);
+          }
+        } catch (error) {
+          console.error(`Error fetching comments for post ${post.id}:`, error.message);
+        }
+      }
+
+      return {
+        success: true,
+        count: interactions.length,
+        interactions
+      };
+    } catch (error) {
+      console.error('Facebook fetch comments error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch Messenger conversations with the page
+   */
+  async fetchMessages(platformConnection, { since } = {}) {
+    try {
+      const { accessToken, platformData } = platformConnection;
+      const { pageId } = platformData;
+
+      const conversations = await this.paginate(`${this.baseUrl}/${pageId}/conversations`, {
+        access_token: accessToken,
+        fields: 'id,updated_time,messages.limit(25){id,from,message,created_time,attachments{image_data,video_data,file_url}}',
+        limit: 25
+      }, 2);
+
+      const interactions = [];
+
+      for (const conversation of conversations) {
+        // Nothing new in conversations untouched since the last sync
+        if (since && new Date(conversation.updated_time) < since) continue;
+
+        for (const message of conversation.messages?.data || []) {
+          // Only save messages sent to us (not from us)
+          if (!message.from?.id || message.from.id === pageId) continue;
+
+          const mediaUrls = (message.attachments?.data || [])
+            .map(attachment => attachment.image_data?.url || attachment.video_data?.url || attachment.file_url)
+            .filter(Boolean);
+
+          if (!message.message && mediaUrls.length === 0) continue;
+
+          await this.store({
+            organization: platformConnection.organization,
+            platformConnection: platformConnection._id,
+            platform: 'facebook',
+            type: 'dm',
+            platformId: message.id,
+            content: message.message || '',
+            author: {
+              platformId: message.from.id,
+              name: message.from.name,
+              email: message.from.email
+            },
+            threadId: this.getThreadId(platformConnection, message.from.id),
+            metadata: {
+              mediaUrls,
+              hasMedia: mediaUrls.length > 0
+            },
+            platformCreatedAt: new Date(message.created_time),
+            status: 'unread'
+          }, interactions);
+        }
+      }
+
+      return {
+        success: true,
+        count: interactions.length,
+        interactions
+      };
+    } catch (error) {
+      console.error('Facebook fetch messages error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Sentiment of a rating. Recommendations say yes or no; older ratings have stars.
+   */
+  ratingSentiment(recommendationType, rating) {
+    if (recommendationType === 'positive' || rating >= 4) {
+      return 'positive';
+    }
+    if (recommendationType === 'negative' || rating <= 2) {
+      return 'negative';
+    }
+    return rating ? 'neutral' : undefined;
+  }
+
+  /**
+   * Fetch page ratings and recommendations
+   */
+  async fetchRatings(platformConnection) {
+    try {
+      const { accessToken, platformData } = platformConnection;
+      const { pageId } = platformData;
+
+      const ratings = await this.paginate(`${this.baseUrl}/${pageId}/ratings`, {
+        access_token: accessToken,
+        fields: 'created_time,recommendation_type,review_text,rating,reviewer{id,name},open_graph_story{id}',
+        limit: 100
+      }, 5);
+
+      const interactions = [];
+
+      for (const rating of ratings) {
+        // The story id is what replies are posted to
+        const storyId = rating.open_graph_story?.id;
+        if (!storyId) continue;
+
+        const interaction = {
+          organization: platformConnection.organization,
+          platformConnection: platformConnection._id,
+          platform: 'facebook',
+          type: 'review',
+          platformId: storyId,
+          platformUrl: `https://www.facebook.com/${storyId}`,
+          content: rating.review_text || '',
+          author: {
+            platformId: rating.reviewer?.id,
+            name: rating.reviewer?.name || 'Anonymous'
+          },
+          metadata: {
+            rating: rating.rating,
+            recommendationType: rating.recommendation_type
+          },
+          sentiment: this.ratingSentiment(rating.recommendation_type, rating.rating),
+          platformCreatedAt: new Date(rating.created_time),
+          status: 'unread'
+        };
+
+        await this.store(interaction, interactions);
+      }
+
+      return {
+        success: true,
+        count: interactions.length,
+        interactions
+      };
+    } catch (error) {
+      console.error('Facebook fetch ratings error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch every enabled content type: comments, Messenger conversations and ratings
+   */
+  async fetchAll(platformConnection, syncTypes, { since } = {}) {
+    let count = 0;
+
+    if (syncTypes.includes('comments')) {
+      count += (await this.fetchComments(platformConnection)).count;
+    }
+    if (syncTypes.includes('dms')) {
+      count += (await this.fetchMessages(platformConnection, { since })).count;
+    }
+    if (syncTypes.includes('reviews')) {
+      count += (await this.fetchRatings(platformConnection)).count;
+    }
+
+    return { success: true, count };
+  }
+
+  /**
+   * Handle a Page webhook: comments, visitor posts and ratings arrive as feed
+   * and ratings changes, Messenger messages as messaging events.
+   * Returns the new interactions.
+   */
+  async handleWebhook(payload, platformConnection) {
+    const { pageId } = platformConnection.platformData;
+    const interactions = [];
+
+    for (const entry of payload.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+
+        try {
+          if (change.field === 'feed' && value.verb === 'add' && value.from?.id !== pageId) {
+            // Comments on posts, and posts visitors leave on the page
+            const isComment = value.item === 'comment';
+            if (!isComment && !['post', 'status', 'photo', 'video'].includes(value.item)) continue;
+            if (!value.message) continue;
+
+            await this.store({
+              organization: platformConnection.organization,
+              platformConnection: platformConnection._id,
+              platform: 'facebook',
+              type: 'comment',
+              platformId: isComment ? value.comment_id : value.post_id,
+              content: value.message,
+              author: {
+                platformId: value.from?.id,
+                name: value.from?.name
+              },
+              // Top-level comments have the post as parent
+              parentId: isComment && value.parent_id !== value.post_id ? value.parent_id : undefined,
+              metadata: {
+                postId: value.post_id,
+                postUrl: `https://www.facebook.com/${value.post_id}`
+              },
+              platformCreatedAt: new Date(value.created_time * 1000),
+              status: 'unread'
+            }, interactions);
+          }
+
+          if (change.field === 'ratings' && value.verb === 'add' && value.open_graph_story_id) {
+            await this.store({
+              organization: platformConnection.organization,
+              platformConnection: platformConnection._id,
+              platform: 'facebook',
+              type: 'review',
+              platformId: value.open_graph_story_id,
+              platformUrl: `https://www.facebook.com/${value.open_graph_story_id}`,
+              content: value.review_text || '',
+              author: {
+                platformId: value.reviewer_id,
+                name: value.reviewer_name || 'Anonymous'
+              },
+              metadata: {
+                rating: value.rating,
+                recommendationType: value.recommendation_type
+              },
+              sentiment: this.ratingSentiment(value.recommendation_type, value.rating),
+              platformCreatedAt: new Date(value.created_time * 1000),
+              status: 'unread'
+            }, interactions);
+          }
+        } catch (error) {
+          console.error(`Error handling Facebook ${change.field} change:`, error.message);
+        }
+      }
+
+      for (const event of entry.messaging || []) {
+        const { message } = event;
+
+        // Skip our own messages echoed back, deliveries, reads and postbacks
+        if (!message || message.is_echo || event.sender?.id === pageId) continue;
+
+        const mediaUrls = (message.attachments || [])
+          .map(attachment => attachment.payload?.url)
+          .filter(Boolean);
+
+        if (!message.text && mediaUrls.length === 0) continue;
+
+        try {
+          await this.store({
+            organization: platformConnection.organization,
+            platformConnection: platformConnection._id,
+            platform: 'facebook',
+            type: 'dm',
+            platformId: message.mid,
+            content: message.text || '',
+            author: {
+              platformId: event.sender.id
+            },
+            threadId: this.getThreadId(platformConnection, event.sender.id),
+            metadata: {
+              mediaUrls,
+              hasMedia: mediaUrls.length > 0
+            },
+            platformCreatedAt: new Date(event.timestamp),
+            status: 'unread'
+          }, interactions);
+        } catch (error) {
+          console.error(`Error storing Messenger message ${message.mid}:`, error.message);
+        }
+      }
+    }
+
+    return interactions;
+  }
+
+  /**
+   * Reply to a comment, visitor post or recommendation
+   */
+  async replyToComment(objectId, message, accessToken) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/${objectId}/comments`,
+        { message },
+        { params: { access_token: accessToken } }
+      );
+
+      return {
+        success: true,
+        platformResponseId: response.data.id
+      };
+    } catch (error) {
+      console.error('Facebook reply to comment error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a Messenger reply. The adapter checks the 24-hour messaging window first.
+   */
+  async sendMessage(recipientId, message, accessToken, pageId) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/${pageId}/messages`,
+        {
+          recipient: { id: recipientId },
+          messaging_type: 'RESPONSE',
+          message: { text: message }
+        },
+        { params: { access_token: accessToken } }
+      );
+
+      return {
+        success: true,
+        platformResponseId: response.data.message_id
+      };
+    } catch (error) {
+      console.error('Facebook send message error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Hide or unhide a comment. Hidden comments stay visible to their author and friends.
+   */
+  async hideComment(commentId, hidden, accessToken) {
+    try {
+      await axios.post(
+        `${this.baseUrl}/${commentId}`,
+        { is_hidden: hidden },
+        { params: { access_token: accessToken } }
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Facebook hide comment error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a comment (the page's own replies or comments on its posts)
+   */
+  async deleteComment(commentId, accessToken) {
+    try {
+      await axios.delete(`${this.baseUrl}/${commentId}`, {
+        params: { access_token: accessToken }
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Facebook delete comment error:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = new FacebookService();
@@ -1,5 +1,12 @@
 const axios = require('axios');
-const Interaction = require('../../models/Interaction');
+const ingestionService = require('../../services/ingestionService');
+
+const COMMENT_FIELDS = 'id,text,username,timestamp,from,like_count';
+const MESSAGE_FIELDS = 'id,from,to,message,created_time,attachments,story';
+
+// Comment pages read per post during a sync; later comments arrive by webhook.
+// Keeps each run within the Graph API rate limit.
+const MAX_COMMENT_PAGES = 2;
 
 class InstagramService {
   constructor() {
@@ -8,76 +15,148 @@ class InstagramService {
   }
 
   /**
-   * Fetch Instagram comments for a business account
+   * Get every item of a Graph API list, following paging.next up to maxPages,
+   * or until isDone(page) says the rest isn't needed
+   */
+  async paginate(url, params, maxPages = 10, isDone = null) {
+    const items = [];
+    let pages = 0;
+
+    while (url && pages < maxPages) {
+      const response = await axios.get(url, { params });
+      const page = response.data.data || [];
+      items.push(...page);
+
+      if (isDone && isDone(page)) {
+        break;
+      }
+
+      // paging.next already carries every query parameter
+      url = response.data.paging?.next;
+      params = undefined;
+      pages += 1;
+    }
+
+    return items;
+  }
+
+  /**
+   * Store an interaction (deduplicated by platformId), adding it to the list when it is new
+   */
+  async store(interaction, interactions) {
+    const { interaction: stored, isNew } = await ingestionService.ingest(interaction);
+    if (isNew) {
+      interactions.push(stored);
+    }
+    return stored;
+  }
+
+  /**
+   * Messages with the same customer share a thread. Keyed by the customer
+   * rather than the conversation id, which webhooks don't include.
+   */
+  getThreadId(platformConnection, customerId) {
+    return `${platformConnection.platformData.businessAccountId}:${customerId}`;
+  }
+
+  /**
+   * Check if an item was posted by the connected account itself
+   */
+  isOwn(platformConnection, from) {
+    return from?.id === platformConnection.platformData.businessAccountId ||
+      (Boolean(from?.username) && from.username === platformConnection.platformUsername);
+  }
+
+  /**
+   * Fetch everything enabled for sync: comments, DMs and mentions
+   */
+  async fetchAll(platformConnection, syncTypes, { since } = {}) {
+    let count = 0;
+
+    if (syncTypes.includes('comments')) {
+      count += (await this.fetchComments(platformConnection, { since })).count;
+    }
+    if (syncTypes.includes('dms')) {
+      count += (await this.fetchMessages(platformConnection, { since })).count;
+    }
+    if (syncTypes.includes('mentions')) {
+      count += (await this.fetchMentions(platformConnection)).count;
+    }
+
+    return { success: true, count };
+  }
+
+  /**
+   * Fetch Instagram comments (and replies to them) on a business account's
+   * media. After the first sync, only posts published since the last sync are
+   * checked; media is listed newest first, so paging stops at the first older post.
    */
-  async fetchComments(platformConnection) {
+  async fetchComments(platformConnection, { since } = {}) {
     try {
       const { accessToken, platformData } = platformConnection;
       const { businessAccountId } = platformData;
 
-      // Get recent media
-      const mediaResponse = await axios.get(
-        `${this.baseUrl}/${businessAccountId}/media`,
-        {
-          params: {
-            access_token: accessToken,
-            fields: 'id,caption,media_type,timestamp,permalink'
-          }
-        }
-      );
+      const isRecent = item => !since || new Date(item.timestamp) >= new Date(since);
+
+      const media = (await this.paginate(`${this.baseUrl}/${businessAccountId}/media`, {
+        access_token: accessToken,
+        fields: 'id,caption,media_type,timestamp,permalink',
+        limit: 50
+      }, 10, page => !page.every(isRecent))).filter(isRecent);
 
       const interactions = [];
 
       // For each media, get comments
-      for (const media of mediaResponse.data.data) {
+      for (const item of media) {
         try {
-          const commentsResponse = await axios.get(
-            `${this.baseUrl}/${media.id}/comments`,
-            {
-              params: {
-                access_token: accessToken,
-                fields: 'id,text,username,timestamp,from,like_count,replies'
-              }
-            }
-          );
+          const comments = await this.paginate(`${this.baseUrl}/${item.id}/comments`, {
+            access_token: accessToken,
+            fields: `${COMMENT_FIELDS},replies{${COMMENT_FIELDS}}`,
+            limit: 50
+          }, MAX_COMMENT_PAGES);
 
-          for (const comment of commentsResponse.data.data || []) {
-            const interaction = {
-              organization: platformConnection.organization,
-              platformConnection: platformConnection._id,
-              platform: 'instagram',
-              type: 'comment',
-              platformId: comment.id,
-              platformUrl: `${media.permalink}`,
-              content: comment.text,
-              author: {
-                platformId: comment.from?.id,
-                username: comment.username,
-                name: comment.from?.username || comment.username
-              },
-              metadata: {
-                postId: media.id,
-                postUrl: media.permalink
-              },
-              platformCreatedAt: new Date(comment.timestamp),
-              status: 'unread'
-            };
+          for (const comment of comments) {
+            const replies = (comment.replies?.data || []).map(reply => ({ ...reply, parentId: comment.id }));
 
-            interactions.push(interaction);
+            for (const entry of [comment, ...replies]) {
+              if (this.isOwn(platformConnection, entry.from || { username: entry.username })) continue;
 
-            // Save or update in database
-            await Interaction.findOneAndUpdate(
-              { platformId: comment.id },
-              interaction,
-              { upsert: true, new: true }
-            );
+              await this.store({
+                organization: platformConnection.organization,
+                platformConnection: platformConnection._id,
+                platform: 'instagram',
+                type: 'comment',
+                platformId: entry.id,
+                platformUrl: item.permalink,
+                content: entry.text || '',
+                author: {
+                  platformId: entry.from?.id,
+                  username: entry.username || entry.from?.username,
+                  name: entry.from?.username || entry.username
+                },
+                parentId: entry.parentId,
+                metadata: {
+                  postId: item.id,
+                  postUrl: item.permalink
+                },
+                engagement: {
+                  likes: entry.like_count || 0
+                },
+                platformCreatedAt: new Date(entry.timestamp),
+                status: 'unread'
+              }, interactions);
+            }
           }
         } catch (error) {
-          console.error(`Error fetching comments for media ${media.id}:`, error.message);
+          console.error(`Error fetching comments for media ${item.id}:`, error.message);
         }
       }
 
-      return interactions;
+      return {
+        success: true,
+        count: interactions.length,
+        interactions
+      };
     } catch (error) {
       console.error('Instagram fetch comments error:', error.message);
       throw error;
@@ -85,63 +164,269 @@ class InstagramService {
   }
 
   /**
-   * Fetch Instagram DMs (messages)
+   * Fetch Instagram DMs (messages), including story replies and story mentions.
+   * Instagram conversations are listed on the linked Facebook page.
    */
-  async fetchMessages(platformConnection) {
+  async fetchMessages(platformConnection, { since } = {}) {
     try {
       const { accessToken, platformData } = platformConnection;
-      const { businessAccountId } = platformData;
 
-      const response = await axios.get(
-        `${this.baseUrl}/${businessAccountId}/conversations`,
+      const conversations = await this.paginate(
+        `${this.baseUrl}/${platformData.pageId || platformData.businessAccountId}/conversations`,
         {
-          params: {
-            access_token: accessToken,
-            platform: 'instagram',
-            fields: 'id,participants,messages{id,from,to,message,created_time}'
-          }
-        }
+          access_token: accessToken,
+          platform: 'instagram',
+          fields: `id,updated_time,messages.limit(25){${MESSAGE_FIELDS}}`,
+          limit: 25
+        },
+        4
       );
 
       const interactions = [];
 
-      for (const conversation of response.data.data || []) {
+      for (const conversation of conversations) {
+        // Nothing new in conversations untouched since the last sync
+        if (since && new Date(conversation.updated_time) < since) continue;
+
         for (const message of conversation.messages?.data || []) {
           // Only save messages sent to us (not from us)
-          if (message.from.id !== businessAccountId) {
-            const interaction = {
+          if (this.isOwn(platformConnection, message.from)) continue;
+
+          try {
+            await this.store(this.buildMessage(platformConnection, {
+              id: message.id,
+              text: message.message,
+              sender: message.from,
+              threadId: this.getThreadId(platformConnection, message.from.id),
+              createdAt: message.created_time,
+              storyMention: message.story?.mention,
+              storyReply: message.story?.reply_to,
+              attachments: (message.attachments?.data || []).map(attachment =>
+                attachment.image_data?.url || attachment.video_data?.url || attachment.file_url
+              )
+            }), interactions);
+          } catch (error) {
+            console.error(`Error storing Instagram message ${message.id}:`, error.message);
+          }
+        }
+      }
+
+      return {
+        success: true,
+        count: interactions.length,
+        interactions
+      };
+    } catch (error) {
+      console.error('Instagram fetch messages error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch media the business account is tagged in
+   */
+  async fetchMentions(platformConnection) {
+    try {
+      const { accessToken, platformData } = platformConnection;
+
+      const media = await this.paginate(`${this.baseUrl}/${platformData.businessAccountId}/tags`, {
+        access_token: accessToken,
+        fields: 'id,caption,username,timestamp,permalink,media_type,media_url',
+        limit: 50
+      }, 4);
+
+      const interactions = [];
+
+      for (const item of media) {
+        await this.store(this.buildMediaMention(platformConnection, item), interactions);
+      }
+
+      return {
+        success: true,
+        count: interactions.length,
+        interactions
+      };
+    } catch (error) {
+      console.error('Instagram fetch mentions error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Interaction for a DM. Story mentions become mentions; story replies
+   * stay DMs and keep the story they answer.
+   */
+  buildMessage(platformConnection, { id, text, sender, threadId, createdAt, storyMention, storyReply, attachments = [] }) {
+    const story = storyMention || storyReply;
+    const mediaUrls = [...attachments, storyMention?.link].filter(Boolean);
+
+    return {
+      organization: platformConnection.organization,
+      platformConnection: platformConnection._id,
+      platform: 'instagram',
+      type: storyMention ? 'mention' : 'dm',
+      platformId: id,
+      content: text || (storyMention ? 'Mentioned you in their story' : ''),
+      author: {
+        platformId: sender.id,
+        username: sender.username || 'Unknown',
+        name: sender.name || sender.username
+      },
+      threadId,
+      metadata: {
+        postId: story?.id,
+        postUrl: story?.link || story?.url,
+        mediaUrls,
+        hasMedia: mediaUrls.length > 0
+      },
+      platformCreatedAt: new Date(createdAt),
+      status: 'unread'
+    };
+  }
+
+  /**
+   * Interaction for media that tags or @mentions the business account
+   */
+  buildMediaMention(platformConnection, media) {
+    return {
+      organization: platformConnection.organization,
+      platformConnection: platformConnection._id,
+      platform: 'instagram',
+      type: 'mention',
+      platformId: media.id,
+      platformUrl: media.permalink,
+      content: media.caption || '',
+      author: {
+        username: media.username,
+        name: media.username
+      },
+      metadata: {
+        postId: media.id,
+        postUrl: media.permalink,
+        postAuthor: media.username,
+        mediaUrls: media.media_url ? [media.media_url] : [],
+        hasMedia: Boolean(media.media_url)
+      },
+      platformCreatedAt: new Date(media.timestamp),
+      status: 'unread'
+    };
+  }
+
+  /**
+   * Look up an @mention from a webhook: a comment, or a caption when there's no comment id
+   */
+  async fetchMention(platformConnection, { media_id: mediaId, comment_id: commentId }) {
+    const { accessToken, platformData } = platformConnection;
+
+    const field = commentId
+      ? `mentioned_comment.comment_id(${commentId}){id,text,timestamp,like_count,media{id,permalink,username}}`
+      : `mentioned_media.media_id(${mediaId}){id,caption,username,timestamp,permalink,media_type,media_url}`;
+
+    const response = await axios.get(`${this.baseUrl}/${platformData.businessAccountId}`, {
+      params: { access_token: accessToken, fields: field }
+    });
+
+    if (!commentId) {
+      return this.buildMediaMention(platformConnection, response.data.mentioned_media);
+    }
+
+    const comment = response.data.mentioned_comment;
+
+    return {
+      organization: platformConnection.organization,
+      platformConnection: platformConnection._id,
+      platform: 'instagram',
+      type: 'mention',
+      platformId: comment.id,
+      platformUrl: comment.media?.permalink,
+      content: comment.text || '',
+      author: {},
+      metadata: {
+        postId: comment.media?.id || mediaId,
+        postUrl: comment.media?.permalink,
+        postAuthor: comment.media?.username
+      },
+      engagement: {
+        likes: comment.like_count || 0
+      },
+      platformCreatedAt: new Date(comment.timestamp),
+      status: 'unread'
+    };
+  }
+
+  /**
+   * Handle an Instagram webhook: comments and @mentions arrive as changes,
+   * DMs, story replies and story mentions as messaging events.
+   * Returns the new interactions.
+   */
+  async handleWebhook(payload, platformConnection) {
+    const interactions = [];
+
+    for (const entry of payload.entry || []) {
+      for (const change of entry.changes || []) {
+        try {
+          if (change.field === 'comments') {
+            const comment = change.value;
+            if (this.isOwn(platformConnection, comment.from)) continue;
+
+            await this.store({
               organization: platformConnection.organization,
               platformConnection: platformConnection._id,
               platform: 'instagram',
-              type: 'dm',
-              platformId: message.id,
-              content: message.message,
+              type: 'comment',
+              platformId: comment.id,
+              content: comment.text || '',
               author: {
-                platformId: message.from.id,
-                username: message.from.username || 'Unknown',
-                name: message.from.name || message.from.username
+                platformId: comment.from?.id,
+                username: comment.from?.username,
+                name: comment.from?.username
+              },
+              parentId: comment.parent_id,
+              metadata: {
+                postId: comment.media?.id
               },
-              threadId: conversation.id,
-              platformCreatedAt: new Date(message.created_time),
+              platformCreatedAt: comment.timestamp ? new Date(comment.timestamp) : new Date(),
               status: 'unread'
-            };
-
-            interactions.push(interaction);
+            }, interactions);
+          }
 
-            await Interaction.findOneAndUpdate(
-              { platformId: message.id },
-              interaction,
-              { upsert: true, new: true }
-            );
+          if (change.field === 'mentions') {
+            await this.store(await this.fetchMention(platformConnection, change.value), interactions);
           }
+        } catch (error) {
+          console.error(`Error handling Instagram ${change.field} change:`, error.message);
         }
       }
 
-      return interactions;
-    } catch (error) {
-      console.error('Instagram fetch messages error:', error.message);
-      throw error;
+      for (const event of entry.messaging || []) {
+        const { message } = event;
+
+        // Skip our own messages echoed back, reactions, reads and postbacks
+        if (!message || message.is_echo || message.is_deleted || this.isOwn(platformConnection, event.sender)) continue;
+
+        try {
+          const attachments = message.attachments || [];
+          const storyMention = attachments.find(attachment => attachment.type === 'story_mention');
+
+          await this.store(this.buildMessage(platformConnection, {
+            id: message.mid,
+            text: message.text,
+            sender: event.sender,
+            threadId: this.getThreadId(platformConnection, event.sender.id),
+            createdAt: event.timestamp,
+            storyMention: storyMention && { link: storyMention.payload?.url },
+            storyReply: message.reply_to?.story,
+            attachments: attachments
+              .filter(attachment => attachment.type !== 'story_mention')
+              .map(attachment => attachment.payload?.url)
+          }), interactions);
+        } catch (error) {
+          console.error(`Error storing Instagram message ${message.mid}:`, error.message);
+        }
+      }
     }
+
+    return interactions;
   }
 
   /**
@@ -171,6 +456,34 @@ class InstagramService {
     }
   }
 
+  /**
+   * Reply to an @mention in someone else's caption or comment
+   */
+  async replyToMention(platformConnection, interaction, message) {
+    try {
+      const { accessToken, platformData } = platformConnection;
+      const mediaId = interaction.metadata.postId;
+
+      const response = await axios.post(
+        `${this.baseUrl}/${platformData.businessAccountId}/mentions`,
+        {
+          media_id: mediaId,
+          ...(interaction.platformId !== mediaId && { comment_id: interaction.platformId }),
+          message
+        },
+        { params: { access_token: accessToken } }
+      );
+
+      return {
+        success: true,
+        platformResponseId: response.data.id
+      };
+    } catch (error) {
+      console.error('Instagram reply to mention error:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Send Instagram DM
    */
@@ -201,4 +514,3 @@ class InstagramService {
 }
 
 module.exports = new InstagramService();
-
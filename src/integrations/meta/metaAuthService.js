@@ -0,0 +1,184 @@
+const axios = require('axios');
+
+// Permissions for Page comments, ratings and Messenger plus Instagram comments and DMs
+const SCOPES = [
+  'pages_show_list',
+  'pages_read_engagement',
+  'pages_read_user_content',
+  'pages_manage_metadata',
+  'pages_manage_engagement',
+  'pages_messaging',
+  'instagram_basic',
+  'instagram_manage_comments',
+  'instagram_manage_messages',
+  'business_management'
+];
+
+// Page webhook fields subscribed for each connected platform
+const WEBHOOK_FIELDS = {
+  facebook: ['feed', 'messages', 'messaging_postbacks', 'ratings'],
+  instagram: ['messages', 'messaging_postbacks']
+};
+
+class MetaAuthService {
+  constructor() {
+    this.appId = process.env.META_APP_ID;
+    this.appSecret = process.env.META_APP_SECRET;
+    this.redirectUri = process.env.META_REDIRECT_URI || 'http://localhost:3000/api/platforms/meta/callback';
+    this.apiVersion = 'v18.0';
+    this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
+  }
+
+  /**
+   * Graph API error message, falling back to the HTTP error
+   */
+  errorMessage(error) {
+    return error.response?.data?.error?.message || error.message;
+  }
+
+  /**
+   * Get Facebook Login authorization URL
+   */
+  getAuthorizationUrl(state) {
+    const params = new URLSearchParams({
+      client_id: this.appId,
+      redirect_uri: this.redirectUri,
+      response_type: 'code',
+      scope: SCOPES.join(','),
+      state
+    });
+
+    return `https://www.facebook.com/${this.apiVersion}/dialog/oauth?${params.toString()}`;
+  }
+
+  /**
+   * Exchange the authorization code for a long-lived (about 60 days) user token
+   */
+  async exchangeCodeForToken(code) {
+    try {
+      const shortLived = await axios.get(`${this.baseUrl}/oauth/access_token`, {
+        params: {
+          client_id: this.appId,
+          client_secret: this.appSecret,
+          redirect_uri: this.redirectUri,
+          code
+        }
+      });
+
+      const longLived = await axios.get(`${this.baseUrl}/oauth/access_token`, {
+        params: {
+          grant_type: 'fb_exchange_token',
+          client_id: this.appId,
+          client_secret: this.appSecret,
+          fb_exchange_token: shortLived.data.access_token
+        }
+      });
+
+      return {
+        accessToken: longLived.data.access_token,
+        expiresIn: longLived.data.expires_in
+      };
+    } catch (error) {
+      throw new Error(`Failed to exchange code for token: ${this.errorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Get the Facebook user behind a token
+   */
+  async getUserInfo(accessToken) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/me`, {
+        params: {
+          access_token: accessToken,
+          fields: 'id,name,email'
+        }
+      });
+
+      return {
+        platformUserId: response.data.id,
+        platformDisplayName: response.data.name,
+        platformEmail: response.data.email
+      };
+    } catch (error) {
+      throw new Error(`Failed to get user info: ${this.errorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Pages the user manages, with their page tokens and linked Instagram
+   * Business accounts. Page tokens from a long-lived user token don't expire.
+   */
+  async getPages(userAccessToken) {
+    try {
+      const pages = [];
+      let url = `${this.baseUrl}/me/accounts`;
+      let params = {
+        access_token: userAccessToken,
+        fields: 'id,name,access_token,category,picture{url},instagram_business_account{id,username,name,profile_picture_url}',
+        limit: 100
+      };
+
+      while (url) {
+        const response = await axios.get(url, { params });
+        pages.push(...(response.data.data || []));
+
+        // paging.next already carries every query parameter
+        url = response.data.paging?.next;
+        params = undefined;
+      }
+
+      return pages.map(page => ({
+        pageId: page.id,
+        name: page.name,
+        category: page.category,
+        picture: page.picture?.data?.url,
+        accessToken: page.access_token,
+        instagram: page.instagram_business_account
+          ? {
+            businessAccountId: page.instagram_business_account.id,
+            username: page.instagram_business_account.username,
+            name: page.instagram_business_account.name,
+            picture: page.instagram_business_account.profile_picture_url
+          }
+          : null
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get pages: ${this.errorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Subscribe our app to a page's webhooks. Fields for all the page's
+   * connected platforms are passed, as each call replaces the previous set.
+   */
+  async subscribePage(pageId, pageAccessToken, platforms) {
+    const fields = [...new Set(platforms.flatMap(platform => WEBHOOK_FIELDS[platform] || []))];
+
+    try {
+      await axios.post(`${this.baseUrl}/${pageId}/subscribed_apps`, null, {
+        params: {
+          access_token: pageAccessToken,
+          subscribed_fields: fields.join(',')
+        }
+      });
+    } catch (error) {
+      throw new Error(`Failed to subscribe page to webhooks: ${this.errorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Remove our app's webhook subscription from a page
+   */
+  async unsubscribePage(pageId, pageAccessToken) {
+    try {
+      await axios.delete(`${this.baseUrl}/${pageId}/subscribed_apps`, {
+        params: { access_token: pageAccessToken }
+      });
+    } catch (error) {
+      throw new Error(`Failed to unsubscribe page from webhooks: ${this.errorMessage(error)}`);
+    }
+  }
+}
+
+module.exports = new MetaAuthService();
@@ -0,0 +1,356 @@
+const axios = require('axios');
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const Interaction = require('../../models/Interaction');
+const ingestionService = require('../../services/ingestionService');
+const realtimeService = require('../../services/realtimeService');
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+const MEDIA_DIR = path.join(__dirname, '../../../uploads/whatsapp');
+
+const MEDIA_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+  'video/3gpp': '.3gp',
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/aac': '.aac',
+  'audio/amr': '.amr',
+  'application/pdf': '.pdf'
+};
+
+// Delivery statuses in the order they happen; webhooks may arrive out of order
+const DELIVERY_STATUSES = ['sent', 'delivered', 'read'];
+
+class WhatsAppService {
+  constructor() {
+    this.apiVersion = 'v18.0';
+    this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
+  }
+
+  /**
+   * Messages with the same contact on the same business number share a thread
+   */
+  getThreadId(platformConnection, contactId) {
+    return `${platformConnection.platformData.phoneNumberId}:${contactId}`;
+  }
+
+  /**
+   * Handle a WhatsApp Business Account webhook: store inbound messages, then
+   * apply delivery statuses to our replies. Messages already stored (webhook
+   * redeliveries) are skipped before their media is downloaded. Returns the
+   * newly stored interactions, except reactions.
+   */
+  async handleWebhook(payload, platformConnection) {
+    const interactions = [];
+
+    for (const entry of payload.entry || []) {
+      for (const change of entry.changes || []) {
+        if (change.field !== 'messages') continue;
+
+        const { messages = [], statuses = [], contacts = [] } = change.value || {};
+
+        for (const message of messages) {
+          try {
+            const contact = contacts.find(item => item.wa_id === message.from);
+            const interaction = await this.storeMessage(platformConnection, message, contact);
+
+            // Reactions are kept in the conversation but don't need analysis
+            if (interaction && interaction.contentType !== 'reaction') {
+              interactions.push(interaction);
+            }
+          } catch (error) {
+            console.error(`Error storing WhatsApp message ${message.id}:`, error.message);
+          }
+        }
+
+        for (const status of statuses) {
+          try {
+            await this.applyStatus(status);
+          } catch (error) {
+            console.error(`Error applying WhatsApp status for ${status.id}:`, error.message);
+          }
+        }
+      }
+    }
+
+    return interactions;
+  }
+
+  /**
+   * Store an inbound message, returning the interaction if it is new
+   */
+  async storeMessage(platformConnection, message, contact) {
+    const parsed = this.parseMessage(message);
+
+    if (!parsed) {
+      console.log(`Skipping unsupported WhatsApp message type: ${message.type}`);
+      return null;
+    }
+
+    // Webhooks are redelivered until acknowledged; don't download media again
+    const exists = await Interaction.exists({
+      organization: platformConnection.organization,
+      platform: 'whatsapp',
+      platformId: message.id
+    });
+
+    if (exists) {
+      return null;
+    }
+
+    const { content, contentType, metadata = {}, media } = parsed;
+
+    if (media) {
+      metadata.media = [await this.downloadMedia(platformConnection, media)];
+      metadata.hasMedia = true;
+    }
+
+    const { interaction, isNew } = await ingestionService.ingest({
+      organization: platformConnection.organization,
+      platformConnection: platformConnection._id,
+      platform: 'whatsapp',
+      type: 'dm',
+      platformId: message.id,
+      content,
+      contentType,
+      author: {
+        platformId: message.from,
+        name: contact?.profile?.name || message.from,
+        username: message.from
+      },
+      threadId: this.getThreadId(platformConnection, message.from),
+      parentId: message.context?.id,
+      metadata,
+      platformCreatedAt: new Date(parseInt(message.timestamp) * 1000),
+      status: 'unread'
+    });
+
+    return isNew ? interaction : null;
+  }
+
+  /**
+   * Text, content type and metadata for an inbound message
+   */
+  parseMessage(message) {
+    const { type } = message;
+
+    if (type === 'text') {
+      return { content: message.text.body, contentType: 'text' };
+    }
+
+    if (MEDIA_TYPES.includes(type)) {
+      const media = message[type];
+
+      return {
+        content: media.caption || media.filename || `[${type}]`,
+        contentType: type === 'sticker' ? 'image' : type,
+        media: { ...media, type }
+      };
+    }
+
+    if (type === 'location') {
+      const { latitude, longitude, name, address } = message.location;
+      const label = [name, address].filter(Boolean).join(', ');
+
+      return {
+        content: label || `Location: ${latitude}, ${longitude}`,
+        contentType: 'location',
+        metadata: { location: label || undefined, latitude, longitude }
+      };
+    }
+
+    if (type === 'contacts') {
+      const names = message.contacts.map(contact => {
+        const phone = contact.phones?.[0]?.phone;
+        return phone ? `${contact.name?.formatted_name} (${phone})` : contact.name?.formatted_name;
+      });
+
+      return { content: `Shared contact: ${names.join(', ')}`, contentType: 'contacts' };
+    }
+
+    if (type === 'interactive') {
+      const reply = message.interactive.button_reply || message.interactive.list_reply;
+
+      return {
+        content: reply.title,
+        contentType: 'text',
+        metadata: { interactiveReplyId: reply.id }
+      };
+    }
+
+    // Quick reply button on a template message
+    if (type === 'button') {
+      return {
+        content: message.button.text,
+        contentType: 'text',
+        metadata: { interactiveReplyId: message.button.payload }
+      };
+    }
+
+    // An empty emoji means the reaction was removed
+    if (type === 'reaction' && message.reaction.emoji) {
+      return {
+        content: message.reaction.emoji,
+        contentType: 'reaction',
+        metadata: { reactionTo: message.reaction.message_id }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Download inbound media. WhatsApp media URLs expire, so files are kept
+   * under uploads/whatsapp/<organization>. A failed download keeps the media
+   * details without a file.
+   */
+  async downloadMedia(platformConnection, media) {
+    const details = {
+      mediaId: media.id,
+      type: media.type,
+      mimeType: media.mime_type,
+      fileName: media.filename,
+      sha256: media.sha256
+    };
+
+    try {
+      const { accessToken } = platformConnection;
+
+      const info = await axios.get(`${this.baseUrl}/${media.id}`, {
+        params: { access_token: accessToken }
+      });
+
+      const directory = path.join(MEDIA_DIR, platformConnection.organization.toString());
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const extension = MEDIA_EXTENSIONS[info.data.mime_type] || path.extname(media.filename || '');
+      const filePath = path.join(directory, `${media.id}${extension}`);
+
+      const response = await axios.get(info.data.url, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        responseType: 'stream'
+      });
+      await pipeline(response.data, fs.createWriteStream(filePath));
+
+      return {
+        ...details,
+        mimeType: info.data.mime_type || details.mimeType,
+        size: info.data.file_size,
+        path: filePath
+      };
+    } catch (error) {
+      console.error(`WhatsApp media download error for ${media.id}:`, error.message);
+      return details;
+    }
+  }
+
+  /**
+   * Record a delivery status callback on the reply it belongs to.
+   * Statuses for messages we don't know (e.g. sent outside the app) are ignored.
+   */
+  async applyStatus(status) {
+    const interaction = await Interaction.findOne({
+      platform: 'whatsapp',
+      'replies.platformResponseId': status.id
+    });
+
+    const reply = interaction?.replies.find(item => item.platformResponseId === status.id);
+
+    if (!reply) {
+      return null;
+    }
+
+    const at = new Date(parseInt(status.timestamp) * 1000);
+
+    if (status.status === 'failed') {
+      const error = status.errors?.[0];
+      reply.status = 'failed';
+      reply.deliveryStatus = 'failed';
+      reply.error = error?.error_data?.details || error?.message || error?.title || 'Message could not be delivered';
+    } else if (DELIVERY_STATUSES.indexOf(status.status) > DELIVERY_STATUSES.indexOf(reply.deliveryStatus)) {
+      reply.deliveryStatus = status.status;
+      if (status.status === 'delivered') {
+        reply.deliveredAt = at;
+      }
+      if (status.status === 'read') {
+        reply.deliveredAt = reply.deliveredAt || at;
+        reply.readAt = at;
+      }
+    } else {
+      return reply;
+    }
+
+    await interaction.save();
+
+    realtimeService.replyUpdated(interaction, reply);
+
+    return reply;
+  }
+
+  /**
+   * Send a message from the connection's business number
+   */
+  async sendMessage(platformConnection, to, message) {
+    try {
+      const { accessToken, platformData } = platformConnection;
+
+      const response = await axios.post(
+        `${this.baseUrl}/${platformData.phoneNumberId}/messages`,
+        {
+          messaging_product: 'whatsapp',
+          recipient_type: 'individual',
+          to,
+          ...message
+        },
+        { params: { access_token: accessToken } }
+      );
+
+      return {
+        success: true,
+        platformResponseId: response.data.messages?.[0]?.id
+      };
+    } catch (error) {
+      console.error('WhatsApp send message error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a free-form text reply (only within the customer service window)
+   */
+  async sendText(platformConnection, to, text) {
+    return this.sendMessage(platformConnection, to, {
+      type: 'text',
+      text: { preview_url: false, body: text }
+    });
+  }
+
+  /**
+   * Send a pre-approved template, with its body parameters in order
+   */
+  async sendTemplate(platformConnection, to, template) {
+    const parameters = template.parameters || [];
+
+    return this.sendMessage(platformConnection, to, {
+      type: 'template',
+      template: {
+        name: template.name,
+        language: { code: template.language || 'en_US' },
+        ...(parameters.length > 0 && {
+          components: [{
+            type: 'body',
+            parameters: parameters.map(text => ({ type: 'text', text }))
+          }]
+        })
+      }
+    });
+  }
+}
+
+module.exports = new WhatsAppService();
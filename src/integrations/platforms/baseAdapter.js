@@ -0,0 +1,109 @@
+const Interaction = require('../../models/Interaction');
+
+/**
+ * Base class for platform adapters.
+ *
+ * Every platform a PlatformConnection can point at has one adapter, registered
+ * under the connection's `platform`. Controllers and jobs only talk to adapters:
+ * - `connect(user, options)` starts the OAuth flow, returning { authorizationUrl, state }
+ * - `refreshToken(connection)` makes sure the connection's access token is usable
+ * - `sync(connection, { since, syncTypes })` stores new interactions, returning { count }
+ * - `reply(connection, interaction, content, options)` returns the platform's id for the reply
+ * - `deleteReply(connection, interaction, reply)` and `hide(connection, interaction, hidden)`
+ * - `fetchThread(interaction)` returns the conversation an interaction belongs to
+ * - `handleWebhook(connection, payload)` returns the interactions a webhook stored
+ * `capabilities` says which of these a platform supports; unsupported actions
+ * throw an error with a 400 status.
+ */
+class BaseAdapter {
+  constructor() {
+    this.name = 'base';
+    this.capabilities = {
+      sync: true, // false when content only arrives by webhook
+      reply: true,
+      deleteReply: false,
+      hide: false,
+      templates: false, // approved templates can be sent outside the messaging window
+      messagingWindowHours: null // DMs can only be answered this long after the customer's last message
+    };
+  }
+
+  /**
+   * Check if the platform supports a capability
+   */
+  supports(capability) {
+    return Boolean(this.capabilities[capability]);
+  }
+
+  /**
+   * Error for actions the platform doesn't support
+   */
+  unsupported(action) {
+    const error = new Error(`${action} is not supported for ${this.name}`);
+    error.statusCode = 400;
+    return error;
+  }
+
+  async connect() {
+    throw this.unsupported('Connecting');
+  }
+
+  /**
+   * Tokens that don't expire need no refresh
+   */
+  async refreshToken(connection) {
+    return connection.accessToken;
+  }
+
+  async sync() {
+    throw this.unsupported('Syncing');
+  }
+
+  async reply() {
+    throw this.unsupported('Replying');
+  }
+
+  async deleteReply() {
+    throw this.unsupported('Deleting replies');
+  }
+
+  async hide() {
+    throw this.unsupported('Hiding comments');
+  }
+
+  /**
+   * Stored interactions of the same conversation, oldest first
+   */
+  async fetchThread(interaction) {
+    if (!interaction.threadId) {
+      return [interaction];
+    }
+
+    return Interaction.find({
+      organization: interaction.organization,
+      platform: interaction.platform,
+      threadId: interaction.threadId
+    })
+      .sort({ platformCreatedAt: 1 })
+      .populate('replies.sentBy', 'firstName lastName avatar');
+  }
+
+  async handleWebhook() {
+    return [];
+  }
+
+  /**
+   * Check if a customer's last message is recent enough to answer freely
+   */
+  isWithinMessagingWindow(lastMessageAt, now = new Date()) {
+    const { messagingWindowHours } = this.capabilities;
+
+    if (!messagingWindowHours) {
+      return true;
+    }
+
+    return Boolean(lastMessageAt) && now - new Date(lastMessageAt) < messagingWindowHours * 60 * 60 * 1000;
+  }
+}
+
+module.exports = BaseAdapter;
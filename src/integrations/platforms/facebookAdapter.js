@@ -0,0 +1,65 @@
+const facebookService = require('../meta/facebookService');
+const MetaAdapter = require('./metaAdapter');
+
+/**
+ * Facebook Page comments, visitor posts, Messenger conversations and ratings
+ */
+class FacebookAdapter extends MetaAdapter {
+  constructor() {
+    super();
+    this.name = 'facebook';
+    this.capabilities = {
+      ...this.capabilities,
+      deleteReply: true,
+      hide: true,
+      messagingWindowHours: 24
+    };
+  }
+
+  async sync(connection, { since, syncTypes }) {
+    return facebookService.fetchAll(connection, syncTypes, { since });
+  }
+
+  /**
+   * Reply to a comment, or send a Messenger reply within 24 hours of the
+   * customer's last message. Later replies are rejected rather than sent with a tag.
+   */
+  async reply(connection, interaction, content, { lastMessageAt } = {}) {
+    const { accessToken, platformData } = connection;
+
+    if (interaction.type === 'dm' && !this.isWithinMessagingWindow(lastMessageAt)) {
+      const error = new Error('Messenger replies can only be sent within 24 hours of the customer\'s last message');
+      error.code = 'MESSAGING_WINDOW_CLOSED';
+      error.permanent = true;
+      throw error;
+    }
+
+    const result = interaction.type === 'dm'
+      ? await facebookService.sendMessage(interaction.author.platformId, content, accessToken, platformData.pageId)
+      : await facebookService.replyToComment(interaction.platformId, content, accessToken);
+
+    return result.platformResponseId;
+  }
+
+  async deleteReply(connection, interaction, reply) {
+    if (interaction.type === 'dm') {
+      throw this.unsupported('Deleting Messenger messages');
+    }
+
+    await facebookService.deleteComment(reply.platformResponseId, connection.accessToken);
+  }
+
+  async hide(connection, interaction, hidden) {
+    if (interaction.type !== 'comment') {
+      throw this.unsupported(`Hiding ${interaction.type}s`);
+    }
+
+    await facebookService.hideComment(interaction.platformId, hidden, connection.accessToken);
+  }
+
+  async handleWebhook(connection, payload) {
+    return facebookService.handleWebhook(payload, connection);
+  }
+}
+
+module.exports = FacebookAdapter;
@@ -0,0 +1,76 @@
+const Interaction = require('../../models/Interaction');
+const googleService = require('../google/googleService');
+const BaseAdapter = require('./baseAdapter');
+
+/**
+ * Google Business Profile reviews
+ */
+class GoogleAdapter extends BaseAdapter {
+  constructor() {
+    super();
+    this.name = 'google';
+    this.service = googleService;
+    this.oauthType = 'reviews'; // Tells the shared Google OAuth callback what was connected
+  }
+
+  /**
+   * Start the Google OAuth flow. The state carries the organization and user
+   * back to the callback.
+   */
+  async connect(user) {
+    const state = Buffer.from(JSON.stringify({
+      organizationId: user.organization._id.toString(),
+      userId: user._id.toString(),
+      type: this.oauthType,
+      timestamp: Date.now()
+    })).toString('base64');
+
+    return {
+      authorizationUrl: this.service.getAuthorizationUrl(state),
+      state
+    };
+  }
+
+  async refreshToken(connection) {
+    return this.service.ensureValidToken(connection);
+  }
+
+  async sync(connection, { syncTypes }) {
+    if (!syncTypes.includes('reviews')) {
+      return { count: 0 };
+    }
+
+    return googleService.fetchAllReviews(connection);
+  }
+
+  async reply(connection, interaction, content) {
+    const locationId = interaction.metadata?.locationId;
+    if (!locationId) {
+      throw new Error('Review location not known for this interaction');
+    }
+
+    await googleService.replyToReview(connection, locationId, interaction.platformId, content);
+
+    // Google keeps a single owner reply per review, identified by the review
+    return interaction.platformId;
+  }
+
+  /**
+   * Reviews are fetched by the webhook controller; return the stored review
+   */
+  async handleWebhook(connection, payload) {
+    const { reviewId, eventType } = payload;
+
+    if (eventType !== 'NEW_REVIEW' && eventType !== 'UPDATE_REVIEW') {
+      return [];
+    }
+
+    return Interaction.findOne({
+      platformId: reviewId,
+      organization: connection.organization,
+      platform: 'google'
+    });
+  }
+}
+
+module.exports = GoogleAdapter;
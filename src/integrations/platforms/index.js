@@ -0,0 +1,52 @@
+const BaseAdapter = require('./baseAdapter');
+const GoogleAdapter = require('./googleAdapter');
+const YouTubeAdapter = require('./youtubeAdapter');
+const FacebookAdapter = require('./facebookAdapter');
+const InstagramAdapter = require('./instagramAdapter');
+const WhatsAppAdapter = require('./whatsappAdapter');
+
+// Adapters keyed by PlatformConnection.platform
+const adapters = new Map([
+  ['google', new GoogleAdapter()],
+  ['youtube', new YouTubeAdapter()],
+  ['facebook', new FacebookAdapter()],
+  ['instagram', new InstagramAdapter()],
+  ['whatsapp', new WhatsAppAdapter()]
+]);
+
+/**
+ * Register (or replace) the adapter for a platform
+ */
+const registerAdapter = (platform, adapter) => {
+  adapters.set(platform, adapter);
+};
+
+const hasAdapter = platform => adapters.has(platform);
+
+/**
+ * Get the adapter for a platform
+ */
+const getAdapter = platform => {
+  if (!adapters.has(platform)) {
+    const error = new Error(`Unsupported platform: ${platform}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return adapters.get(platform);
+};
+
+/**
+ * Capabilities of every registered platform, keyed by platform
+ */
+const getCapabilities = () => Object.fromEntries(
+  [...adapters].map(([platform, adapter]) => [platform, adapter.capabilities])
+);
+
+module.exports = {
+  BaseAdapter,
+  registerAdapter,
+  hasAdapter,
+  getAdapter,
+  getCapabilities
+};
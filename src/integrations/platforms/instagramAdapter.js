@@ -0,0 +1,47 @@
+const instagramService = require('../meta/instagramService');
+const MetaAdapter = require('./metaAdapter');
+
+/**
+ * Instagram Business comments, DMs and mentions
+ */
+class InstagramAdapter extends MetaAdapter {
+  constructor() {
+    super();
+    this.name = 'instagram';
+    this.capabilities = {
+      ...this.capabilities,
+      messagingWindowHours: 24
+    };
+  }
+
+  async sync(connection, { since, syncTypes }) {
+    return instagramService.fetchAll(connection, syncTypes, { since });
+  }
+
+  async reply(connection, interaction, content) {
+    const { accessToken, platformData } = connection;
+
+    // Story mentions arrive as DMs and are answered in the conversation
+    if (interaction.type === 'dm' || (interaction.type === 'mention' && interaction.threadId)) {
+      const result = await instagramService.sendMessage(
+        interaction.author.platformId,
+        content,
+        accessToken,
+        platformData.pageId || platformData.businessAccountId
+      );
+      return result.platformResponseId;
+    }
+
+    const result = interaction.type === 'mention'
+      ? await instagramService.replyToMention(connection, interaction, content)
+      : await instagramService.replyToComment(interaction.platformId, content, accessToken);
+
+    return result.platformResponseId;
+  }
+
+  async handleWebhook(connection, payload) {
+    return instagramService.handleWebhook(payload, connection);
+  }
+}
+
+module.exports = InstagramAdapter;
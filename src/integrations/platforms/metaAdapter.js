@@ -0,0 +1,24 @@
+const metaAuthService = require('../meta/metaAuthService');
+const metaConnectionService = require('../../services/metaConnectionService');
+const BaseAdapter = require('./baseAdapter');
+
+/**
+ * Facebook Pages and Instagram accounts, both connected through Facebook Login.
+ * Page tokens don't expire, so there is nothing to refresh.
+ */
+class MetaAdapter extends BaseAdapter {
+  /**
+   * Start Facebook Login. The user then picks which Pages and Instagram
+   * accounts to connect.
+   */
+  async connect(user) {
+    const state = await metaConnectionService.createState(user);
+
+    return {
+      authorizationUrl: metaAuthService.getAuthorizationUrl(state),
+      state
+    };
+  }
+}
+
+module.exports = MetaAdapter;
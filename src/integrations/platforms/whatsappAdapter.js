@@ -0,0 +1,48 @@
+const whatsappService = require('../meta/whatsappService');
+const BaseAdapter = require('./baseAdapter');
+
+/**
+ * WhatsApp Business Cloud API. There is no message history API, so messages
+ * only arrive by webhook.
+ */
+class WhatsAppAdapter extends BaseAdapter {
+  constructor() {
+    super();
+    this.name = 'whatsapp';
+    this.capabilities = {
+      ...this.capabilities,
+      sync: false,
+      templates: true,
+      messagingWindowHours: 24
+    };
+  }
+
+  /**
+   * Send a free-form reply inside the 24-hour window, or the approved
+   * template in options.template at any time
+   */
+  async reply(connection, interaction, content, { template, lastMessageAt } = {}) {
+    const recipient = interaction.author.platformId;
+
+    if (template) {
+      const result = await whatsappService.sendTemplate(connection, recipient, template);
+      return result.platformResponseId;
+    }
+
+    if (!this.isWithinMessagingWindow(lastMessageAt)) {
+      const error = new Error('WhatsApp replies more than 24 hours after the customer\'s last message must use an approved template');
+      error.code = 'MESSAGING_WINDOW_CLOSED';
+      error.permanent = true;
+      throw error;
+    }
+
+    const result = await whatsappService.sendText(connection, recipient, content);
+    return result.platformResponseId;
+  }
+
+  async handleWebhook(connection, payload) {
+    return whatsappService.handleWebhook(payload, connection);
+  }
+}
+
+module.exports = WhatsAppAdapter;
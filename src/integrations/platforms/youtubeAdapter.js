@@ -0,0 +1,48 @@
+const Interaction = require('../../models/Interaction');
+const youtubeService = require('../google/youtubeService');
+const GoogleAdapter = require('./googleAdapter');
+
+/**
+ * YouTube channel comments. Connected through the same Google OAuth flow
+ * as Business Profile.
+ */
+class YouTubeAdapter extends GoogleAdapter {
+  constructor() {
+    super();
+    this.name = 'youtube';
+    this.service = youtubeService;
+    this.oauthType = 'youtube';
+  }
+
+  async sync(connection, { syncTypes }) {
+    if (!syncTypes.includes('comments')) {
+      return { count: 0 };
+    }
+
+    return youtubeService.fetchAllChannelComments(connection);
+  }
+
+  async reply(connection, interaction, content) {
+    const result = await youtubeService.replyToComment(connection, interaction.platformId, content);
+    return result.comment?.id;
+  }
+
+  /**
+   * Comments are fetched by the webhook controller; return the stored comment
+   */
+  async handleWebhook(connection, payload) {
+    const { commentId, eventType } = payload;
+
+    if (eventType !== 'NEW_COMMENT' && eventType !== 'UPDATE_COMMENT') {
+      return [];
+    }
+
+    return Interaction.findOne({
+      platformId: commentId,
+      organization: connection.organization,
+      platform: 'youtube'
+    });
+  }
+}
+
+module.exports = YouTubeAdapter;
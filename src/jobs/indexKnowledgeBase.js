@@ -0,0 +1,36 @@
+const KnowledgeBase = require('../models/KnowledgeBase');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+
+/**
+ * Chunk and embed a knowledge base entry
+ * This job is triggered when an entry is created or its content changes
+ */
+module.exports = async function indexKnowledgeBase(job) {
+  const { knowledgeBaseId } = job.data;
+
+  const entry = await KnowledgeBase.findById(knowledgeBaseId);
+
+  if (!entry) {
+    // Deleted before indexing ran
+    return { success: true, knowledgeBaseId, skipped: true };
+  }
+
+  try {
+    console.log(`Indexing knowledge base entry ${knowledgeBaseId}`);
+
+    const chunkCount = await knowledgeBaseService.indexEntry(entry);
+
+    console.log(`Indexed knowledge base entry ${knowledgeBaseId} into ${chunkCount} chunks`);
+
+    return { success: true, knowledgeBaseId, chunkCount };
+  } catch (error) {
+    console.error(`Knowledge base indexing error for ${knowledgeBaseId}:`, error.message);
+
+    await KnowledgeBase.updateOne(
+      { _id: knowledgeBaseId },
+      { 'indexing.status': 'failed', 'indexing.error': error.message }
+    );
+
+    throw error;
+  }
+};
@@ -1,8 +1,12 @@
 const Interaction = require('../models/Interaction');
-const KnowledgeBase = require('../models/KnowledgeBase');
 const User = require('../models/User');
 const aiService = require('../services/aiService');
-const emailService = require('../services/emailService');
+const notificationService = require('../services/notificationService');
+const labelService = require('../services/labelService');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const autoReplyService = require('../services/autoReplyService');
+const usageService = require('../services/usageService');
+const realtimeService = require('../services/realtimeService');
 
 /**
  * Process AI analysis for an interaction
@@ -22,59 +26,74 @@ module.exports = async function processAI(job) {
       throw new Error(`Interaction ${interactionId} not found`);
     }
 
-    // Step 1: Analyze sentiment
-    console.log('Analyzing sentiment...');
-    const sentimentResult = await aiService.analyzeSentiment(interaction.content);
-    
-    interaction.sentiment = sentimentResult.sentiment;
-    interaction.sentimentScore = sentimentResult.sentimentScore;
-    interaction.sentimentConfidence = sentimentResult.sentimentConfidence;
-
-    // Step 2: Detect intent
-    console.log('Detecting intent...');
-    const intent = await aiService.detectIntent(interaction.content);
-    interaction.intent = intent;
-
-    // Step 3: Extract topics
-    console.log('Extracting topics...');
-    const topics = await aiService.extractTopics(interaction.content);
-    interaction.topics = topics;
-
-    // Step 4: Get knowledge base for AI response
-    const knowledgeBase = await KnowledgeBase.find({
-      organization: interaction.organization,
-      isActive: true,
-      isTrainingData: true
-    }).sort({ trainingWeight: -1 }).limit(10);
+    // Interactions past the plan's limits are kept but handled by agents only
+    if (usageService.isOverLimit(interaction.organization, 'interactions') ||
+        !await reserveAICredit(interaction)) {
+      console.log('Plan limit reached, skipping AI. Assigning to agent...');
+      await assignToAgent(interaction, 'ai_unable');
+      await interaction.save();
+
+      return { success: true, interactionId, skipped: 'plan_limit_reached' };
+    }
+
+    // Step 1: Analyze sentiment, intent, topics, urgency, language and toxicity
+    console.log('Analyzing interaction...');
+    const analysis = await aiService.analyzeInteraction(interaction.content, interaction.organization);
+
+    interaction.sentiment = analysis.sentiment;
+    interaction.sentimentScore = analysis.sentimentScore;
+    interaction.sentimentConfidence = analysis.sentimentConfidence;
+    interaction.intent = analysis.intent;
+    interaction.topics = analysis.topics;
+    interaction.urgency = analysis.urgency;
+    interaction.toxicity = analysis.toxicity;
+    if (analysis.language) {
+      interaction.language = analysis.language;
+    }
+
+    // Re-check auto-apply labels now that sentiment is known
+    await labelService.applyAutoLabels(interaction);
+
+    // Step 2: Retrieve the knowledge base chunks relevant to this interaction
+    const knowledgeBase = await knowledgeBaseService.retrieveForInteraction(interaction);
+    interaction.knowledgeChunks = knowledgeBase.map(chunk => chunk._id);
 
-    // Step 5: Generate AI response suggestion
+    if (knowledgeBase.length > 0) {
+      await knowledgeBaseService.recordUsage(knowledgeBase);
+    }
+
+    // Step 3: Generate AI response suggestion
     console.log('Generating AI response...');
     const aiResponse = await aiService.generateResponse(interaction, knowledgeBase);
-    
+
     if (aiResponse) {
       interaction.aiSuggestion = aiResponse;
     }
 
-    // Step 6: Determine if auto-reply eligible
+    // Step 4: Determine if auto-reply eligible
     interaction.autoReplyEligible = aiService.canAutoReply(interaction);
 
-    // Step 7: Check if should auto-reply or assign to agent
-    if (interaction.autoReplyEligible && aiResponse) {
-      // TODO: Implement actual auto-reply logic
-      // For now, just mark as eligible
-      console.log('Interaction is eligible for auto-reply');
-      
-      // In production, you would:
-      // 1. Auto-reply via platform integration
-      // 2. Mark as replied
-      // 3. Log the response
+    // Persist the analysis before queueing anything, so a failed save can't
+    // leave a queued auto-reply behind for the retried job to queue again
+    await interaction.save();
+
+    // Step 5: Auto-reply if the organization's policy allows it, otherwise assign to agent
+    const decision = await autoReplyService.evaluate(interaction, interaction.organization, aiResponse);
+
+    if (decision.allowed) {
+      const reply = await autoReplyService.queue(interaction, interaction.organization, aiResponse.content);
+      console.log(`Auto-reply ${reply._id} queued for ${reply.scheduledFor.toISOString()}`);
     } else {
-      // Assign to agent
-      console.log('Assigning to agent...');
+      console.log(`No auto-reply: ${decision.reason}. Assigning to agent...`);
       await assignToAgent(interaction, 'ai_unable');
     }
 
-    // Step 8: Check for negative spike (3+ negative comments on same post)
+    // Urgent interactions are escalated to managers straight away
+    if (analysis.urgency === 'urgent') {
+      await notificationService.notifyEscalation(interaction);
+    }
+
+    // Step 6: Check for negative spike (3+ negative comments on same post)
     if (interaction.type === 'comment' && interaction.sentiment === 'negative') {
       await checkNegativeSpike(interaction);
     }
@@ -82,13 +101,16 @@ module.exports = async function processAI(job) {
     // Save interaction
     await interaction.save();
 
+    realtimeService.analysisCompleted(interaction);
+
     console.log(`AI processing completed for interaction: ${interactionId}`);
 
     return {
       success: true,
       interactionId,
       sentiment: interaction.sentiment,
-      autoReplyEligible: interaction.autoReplyEligible
+      autoReplyEligible: interaction.autoReplyEligible,
+      autoReplyQueued: decision.allowed
     };
 
   } catch (error) {
@@ -97,6 +119,34 @@ module.exports = async function processAI(job) {
   }
 };
 
+/**
+ * Take the interaction's AI credit, returning false when the plan has none left.
+ * Each interaction is charged once, however often the job is retried.
+ */
+async function reserveAICredit(interaction) {
+  const claimed = await Interaction.updateOne(
+    { _id: interaction._id, aiCreditReserved: { $ne: true } },
+    { $set: { aiCreditReserved: true } }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    return true;
+  }
+
+  try {
+    await usageService.reserve(interaction.organization._id, 'ai');
+    interaction.aiCreditReserved = true;
+    return true;
+  } catch (error) {
+    await Interaction.updateOne({ _id: interaction._id }, { $set: { aiCreditReserved: false } });
+
+    if (error.statusCode === 402 || error.statusCode === 403) {
+      return false;
+    }
+    throw error;
+  }
+}
+
 /**
  * Assign interaction to an available agent
  */
@@ -132,8 +182,10 @@ async function assignToAgent(interaction, reason) {
     // Assign
     await interaction.assignTo(selectedAgent._id, null, reason);
 
-    // Send notification email
-    await emailService.sendAssignmentNotification(selectedAgent, interaction);
+    realtimeService.interactionUpdated(interaction, { assigned: true });
+
+    // Notify the agent (in-app, and by email per their preferences)
+    await notificationService.notifyAssignment(interaction);
 
     console.log(`Assigned interaction ${interaction._id} to agent ${selectedAgent.email}`);
 
@@ -162,21 +214,12 @@ async function checkNegativeSpike(interaction) {
     if (negativeCount >= 3) {
       console.log('ALERT: Negative spike detected!');
 
-      // Find manager or admin to alert
-      const manager = await User.findOne({
-        organization: interaction.organization,
-        role: { $in: ['manager', 'admin'] },
-        isActive: true
-      });
-
-      if (manager) {
-        // Send alert email
-        await emailService.sendNegativeSpikeAlert(
-          manager,
-          interaction.metadata.postId,
-          negativeCount
-        );
-      }
+      // Alert managers and admins
+      await notificationService.notifyNegativeSpike(
+        interaction.organization._id,
+        interaction.metadata.postId,
+        negativeCount
+      );
 
       // Mark interaction as high priority
       interaction.priority = 'urgent';
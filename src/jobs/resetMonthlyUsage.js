@@ -0,0 +1,32 @@
+const Organization = require('../models/Organization');
+const usageService = require('../services/usageService');
+
+/**
+ * Reset monthly usage counters on each organization's billing anniversary
+ * This job runs every hour; organizations already reset this period are skipped
+ */
+module.exports = async function resetMonthlyUsage(job) {
+  const now = new Date();
+  let resetCount = 0;
+
+  const cursor = Organization.find({ isActive: true })
+    .select('subscription usage createdAt')
+    .cursor();
+
+  for await (const organization of cursor) {
+    if (!usageService.isResetDue(organization, now)) {
+      continue;
+    }
+
+    try {
+      await organization.resetMonthlyUsage();
+      resetCount++;
+    } catch (error) {
+      console.error(`Usage reset failed for organization ${organization._id}:`, error.message);
+    }
+  }
+
+  console.log(`Monthly usage reset for ${resetCount} organizations`);
+
+  return { success: true, resetCount };
+};
@@ -0,0 +1,40 @@
+const User = require('../models/User');
+const digestService = require('../services/digestService');
+
+/**
+ * Send daily and weekly email digests to users whose local digest hour it is
+ * This job runs every hour; each user's digest period is only ever sent once
+ */
+module.exports = async function sendDigests(job) {
+  const now = new Date();
+  const cache = new Map();
+  let sentCount = 0;
+  let failedCount = 0;
+
+  const cursor = User.find({
+    isActive: true,
+    'preferences.emailDigest': true,
+    'preferences.emailFrequency': { $in: ['daily', 'weekly'] }
+  })
+    .populate('organization', 'name isActive sla')
+    .cursor();
+
+  for await (const user of cursor) {
+    if (!user.organization?.isActive || !digestService.isDue(user, now)) {
+      continue;
+    }
+
+    try {
+      if (await digestService.sendDigest(user, digestService.getPeriod(user, now), cache)) {
+        sentCount++;
+      }
+    } catch (error) {
+      failedCount++;
+      console.error(`Digest failed for user ${user._id}:`, error.message);
+    }
+  }
+
+  console.log(`Email digests sent: ${sentCount}, failed: ${failedCount}`);
+
+  return { success: true, sentCount, failedCount };
+};
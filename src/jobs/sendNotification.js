@@ -0,0 +1,67 @@
+const Interaction = require('../models/Interaction');
+const Notification = require('../models/Notification');
+const emailService = require('../services/emailService');
+
+/**
+ * Email a notification to its user
+ * This job is queued by the notification service when the user's preferences call for email
+ */
+module.exports = async function sendNotification(job) {
+  try {
+    const { notificationId } = job.data;
+
+    const notification = await Notification.findById(notificationId).populate('user');
+
+    if (!notification) {
+      console.log(`Skipping missing notification: ${notificationId}`);
+      return { success: false, skipped: true };
+    }
+
+    const user = notification.user;
+
+    if (!user || !user.isActive) {
+      console.log(`Skipping ${notification.type} notification for inactive user`);
+      return { success: false, skipped: true };
+    }
+
+    // Job retries must not send the email twice
+    if (notification.emailSent) {
+      return { success: true, alreadySent: true };
+    }
+
+    let result;
+
+    switch (notification.type) {
+      case 'assignment': {
+        const interaction = await Interaction.findById(notification.relatedTo?.id);
+        if (!interaction) {
+          throw new Error(`Interaction ${notification.relatedTo?.id} not found`);
+        }
+        result = await emailService.sendAssignmentNotification(user, interaction);
+        break;
+      }
+
+      case 'negative_spike':
+        result = await emailService.sendNegativeSpikeAlert(user, notification.data?.postId, notification.data?.count);
+        break;
+
+      default:
+        result = await emailService.sendNotificationEmail(user, notification);
+    }
+
+    // emailService reports failures instead of throwing; retry them
+    if (!result.success) {
+      throw new Error(`Notification email failed: ${result.error}`);
+    }
+
+    notification.emailSent = true;
+    notification.emailSentAt = new Date();
+    await notification.save();
+
+    return { success: true, type: notification.type, userId: user._id };
+
+  } catch (error) {
+    console.error('Notification error:', error);
+    throw error;
+  }
+};
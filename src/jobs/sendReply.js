@@ -0,0 +1,76 @@
+const Interaction = require('../models/Interaction');
+const replyService = require('../services/replyService');
+const realtimeService = require('../services/realtimeService');
+
+/**
+ * Send an inbox reply to the platform
+ * This job is triggered when an agent replies to an interaction
+ */
+module.exports = async function sendReply(job) {
+  const { interactionId, replyId } = job.data;
+
+  const interaction = await Interaction.findById(interactionId);
+
+  if (!interaction) {
+    throw new Error(`Interaction ${interactionId} not found`);
+  }
+
+  const reply = interaction.replies.id(replyId);
+
+  if (!reply) {
+    throw new Error(`Reply ${replyId} not found on interaction ${interactionId}`);
+  }
+
+  if (reply.status === 'sent') {
+    return { success: true, interactionId, replyId, alreadySent: true };
+  }
+
+  // Auto-reply cancelled by an agent during its delay window
+  if (reply.status === 'cancelled') {
+    return { success: true, interactionId, replyId, cancelled: true };
+  }
+
+  try {
+    console.log(`Sending ${interaction.platform} reply ${replyId} for interaction ${interactionId}`);
+
+    reply.platformResponseId = await replyService.send(interaction, reply.content, {
+      template: reply.template?.name ? reply.template : undefined
+    });
+    reply.status = 'sent';
+    reply.error = undefined;
+    if (reply.wasAutoGenerated) {
+      interaction.autoReplied = true;
+    }
+    await interaction.save();
+
+    realtimeService.replyUpdated(interaction, reply);
+
+    return {
+      success: true,
+      interactionId,
+      replyId,
+      platformResponseId: reply.platformResponseId
+    };
+
+  } catch (error) {
+    console.error('Reply dispatch error:', error.message);
+
+    const permanent = replyService.isPermanentError(error);
+    const lastAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+
+    reply.error = error.response?.data?.error?.message || error.message;
+    if (permanent || lastAttempt) {
+      reply.status = 'failed';
+    }
+    await interaction.save();
+
+    realtimeService.replyUpdated(interaction, reply);
+
+    // No point retrying something the platform rejected
+    if (permanent) {
+      await job.discard();
+    }
+
+    throw error;
+  }
+};
@@ -0,0 +1,76 @@
+const PlatformConnection = require('../models/PlatformConnection');
+const Organization = require('../models/Organization');
+const { getAdapter } = require('../integrations/platforms');
+const syncScheduler = require('../services/syncScheduler');
+const notificationService = require('../services/notificationService');
+
+/**
+ * Sync interactions from a connected platform
+ * This job is triggered by manual syncs and the sync scheduler
+ */
+module.exports = async function syncPlatform(job) {
+  const { platformConnectionId } = job.data;
+  let connection = null;
+
+  try {
+    connection = await PlatformConnection.findById(platformConnectionId);
+
+    if (!connection || !connection.isActive) {
+      console.log(`Skipping sync for inactive connection: ${platformConnectionId}`);
+      return { success: false, skipped: true, platformConnectionId };
+    }
+
+    if (!await Organization.exists({ _id: connection.organization, isActive: true })) {
+      console.log(`Skipping sync for deactivated organization: ${connection.organization}`);
+      await syncScheduler.unschedule(connection);
+      return { success: false, skipped: true, platformConnectionId };
+    }
+
+    const syncTypes = connection.getEnabledSyncTypes();
+
+    console.log(`Syncing ${connection.platform} connection ${platformConnectionId}: ${syncTypes.join(', ') || 'nothing enabled'}`);
+
+    const adapter = getAdapter(connection.platform);
+    let count = 0;
+
+    // Webhook-only platforms (e.g. WhatsApp) have no history to sync
+    if (adapter.supports('sync')) {
+      const startedAt = new Date();
+
+      await adapter.refreshToken(connection);
+      count = (await adapter.sync(connection, { since: connection.lastSyncAt, syncTypes })).count;
+      await connection.updateSyncStats(count, true, startedAt);
+    }
+
+    // A successful sync resets the failure backoff
+    await syncScheduler.schedule(connection);
+
+    return {
+      success: true,
+      platformConnectionId,
+      count
+    };
+
+  } catch (error) {
+    console.error('Platform sync error:', error);
+
+    // Bookkeeping failures are logged so the job still fails with the sync error
+    if (connection) {
+      try {
+        await connection.updateSyncStats(0, false);
+        await syncScheduler.schedule(connection);
+
+        // Alert admins on the first failure only, not on every backoff retry
+        if (connection.stats.failedSyncAttempts === 1) {
+          await notificationService.notifyPlatformError(connection, error).catch(notifyError => {
+            console.error('Platform error notification failed:', notifyError.message);
+          });
+        }
+      } catch (statsError) {
+        console.error('Recording sync failure failed:', statsError.message);
+      }
+    }
+
+    throw error;
+  }
+};
@@ -1,56 +1,83 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const cacheService = require('../services/cacheService');
+
+// Resolve an access token to its user and session. Throws an error with
+// statusCode (and code, where useful) when the token can't be used.
+const authenticate = async (token) => {
+  const fail = (message, statusCode = 401, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  };
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw fail('Invalid or expired token');
+  }
+
+  // Reject tokens of revoked sessions
+  if (decoded.sid && await cacheService.exists(cacheService.revokedSessionKey(decoded.sid))) {
+    throw fail('Session has been revoked. Please log in again.');
+  }
+
+  // Get user from database
+  const user = await User.findById(decoded.id).populate('organization');
+
+  if (!user) {
+    throw fail('User no longer exists');
+  }
+
+  if (!user.isActive) {
+    throw fail('User account is deactivated');
+  }
+
+  if (!user.organization?.isActive) {
+    throw fail('Your organization is deactivated. Please contact support.', 403, 'ORGANIZATION_INACTIVE');
+  }
+
+  return { user, sessionId: decoded.sid };
+};
+
+exports.authenticate = authenticate;
 
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
-  try {
-    let token;
+  let token;
 
-    // Get token from header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+  // Get token from header
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
 
-    // Check if token exists
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: 'Not authorized to access this route. No token provided.'
-      });
-    }
+  // Check if token exists
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Not authorized to access this route. No token provided.'
+    });
+  }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from database
-      const user = await User.findById(decoded.id).populate('organization');
-
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          error: 'User no longer exists'
-        });
-      }
-
-      if (!user.isActive) {
-        return res.status(401).json({
-          success: false,
-          error: 'User account is deactivated'
-        });
-      }
-
-      // Attach user to request
-      req.user = user;
-      next();
-    } catch (error) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid or expired token'
-      });
-    }
+  try {
+    const { user, sessionId } = await authenticate(token);
+
+    // Attach user and session to request
+    req.user = user;
+    req.sessionId = sessionId;
+    next();
   } catch (error) {
-    next(error);
+    if (!error.statusCode) {
+      return next(error);
+    }
+
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.code && { code: error.code })
+    });
   }
 };
 
@@ -99,19 +126,9 @@ exports.checkOrganization = (req, res, next) => {
   next();
 };
 
-// Generate JWT token
-exports.generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Generate JWT access token, tied to the session it was issued for
+exports.generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
-
-// Generate refresh token
-exports.generateRefreshToken = (userId) => {
-  return jwt.sign(
-    { id: userId },
-    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d' }
-  );
-};
-
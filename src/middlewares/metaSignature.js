@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+// Verify X-Hub-Signature-256 on Meta (Instagram/Facebook/WhatsApp) webhooks
+exports.verifyMetaSignature = (req, res, next) => {
+  const signature = req.headers['x-hub-signature-256'];
+  const appSecret = process.env.META_APP_SECRET;
+
+  let isValid = false;
+
+  if (signature && appSecret && req.rawBody) {
+    const expected = 'sha256=' + crypto
+      .createHmac('sha256', appSecret)
+      .update(req.rawBody)
+      .digest('hex');
+
+    const received = Buffer.from(signature);
+    const computed = Buffer.from(expected);
+
+    isValid = received.length === computed.length &&
+      crypto.timingSafeEqual(received, computed);
+  }
+
+  if (!isValid) {
+    // Same response and log line for every failure so callers can't probe which check failed
+    console.warn(`Rejected Meta webhook with invalid signature from ${req.ip} on ${req.originalUrl}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid signature'
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,29 @@
+const usageService = require('../services/usageService');
+
+// Reject a request up front when the organization has used up a plan limit.
+// Counters are still reserved atomically where the resource is created.
+exports.checkPlanLimit = (type) => {
+  return (req, res, next) => {
+    const organization = req.user?.organization;
+
+    if (!organization || !organization.isActive) {
+      const error = usageService.inactiveError();
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    if (organization.checkLimit(type)) {
+      const error = usageService.limitError(type, usageService.getLimit(organization, type));
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    next();
+  };
+};
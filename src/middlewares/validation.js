@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { isValidTimezone } = require('../utils/dates');
+const { organizationProviderNames } = require('../integrations/llm');
 
 // Validate registration
 exports.validateRegistration = (req, res, next) => {
@@ -42,13 +44,304 @@ exports.validateLogin = (req, res, next) => {
   next();
 };
 
+// Validate refresh token exchange
+exports.validateRefreshToken = (req, res, next) => {
+  const schema = Joi.object({
+    refreshToken: Joi.string().required()
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate forgot-password / resend-verification
+exports.validateEmailRequest = (req, res, next) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required()
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate password reset
+exports.validateResetPassword = (req, res, next) => {
+  const schema = Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().min(6).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate email verification
+exports.validateVerifyEmail = (req, res, next) => {
+  const schema = Joi.object({
+    token: Joi.string().required()
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate organization profile update
+exports.validateOrganizationUpdate = (req, res, next) => {
+  const color = Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).message('Colors must be hex values like #3B82F6');
+
+  const schema = Joi.object({
+    name: Joi.string().trim().min(2).max(100).optional(),
+    logo: Joi.string().uri().allow('').optional(),
+    website: Joi.string().uri().allow('').optional(),
+    industry: Joi.string().trim().max(100).allow('').optional(),
+    size: Joi.string().valid('small', 'medium', 'large', 'enterprise').optional(),
+    timezone: Joi.string().custom((value, helpers) => (
+      isValidTimezone(value) ? value : helpers.message('Invalid timezone')
+    )).optional(),
+    sla: Joi.object({
+      firstResponseMinutes: Joi.number().integer().min(1).max(10080).optional()
+    }).optional(),
+    whiteLabel: Joi.object({
+      enabled: Joi.boolean().optional(),
+      customDomain: Joi.string().hostname().allow('').optional(),
+      primaryColor: color.optional(),
+      secondaryColor: color.optional(),
+      customLogo: Joi.string().uri().allow('').optional()
+    }).optional()
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate ownership transfer
+exports.validateOwnershipTransfer = (req, res, next) => {
+  const schema = Joi.object({
+    userId: Joi.string().hex().length(24).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate organization deactivation
+exports.validateOrganizationDeactivation = (req, res, next) => {
+  const schema = Joi.object({
+    confirmName: Joi.string().required()
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate member update
+exports.validateMemberUpdate = (req, res, next) => {
+  const schema = Joi.object({
+    role: Joi.string().valid('admin', 'manager', 'agent', 'viewer').optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate organization security settings
+exports.validateSecuritySettings = (req, res, next) => {
+  const schema = Joi.object({
+    requireEmailVerification: Joi.boolean().required()
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate organization AI provider settings
+exports.validateAISettings = (req, res, next) => {
+  const schema = Joi.object({
+    provider: Joi.string().valid(...organizationProviderNames).allow(null).optional(),
+    model: Joi.string().trim().max(100).allow(null, '').optional()
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate team invitation
+exports.validateInvitation = (req, res, next) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    role: Joi.string().valid('admin', 'manager', 'agent', 'viewer').optional(),
+    firstName: Joi.string().trim().max(50).optional(),
+    lastName: Joi.string().trim().max(50).optional(),
+    expiresInDays: Joi.number().integer().min(1).max(30).optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate invitation resend
+exports.validateInvitationResend = (req, res, next) => {
+  const schema = Joi.object({
+    expiresInDays: Joi.number().integer().min(1).max(30).optional()
+  });
+
+  const { error } = schema.validate(req.body || {});
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate invitation acceptance
+exports.validateAcceptInvitation = (req, res, next) => {
+  const schema = Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().min(6).required(),
+    firstName: Joi.string().trim().max(50).optional(),
+    lastName: Joi.string().trim().max(50).optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
 // Validate interaction reply
 exports.validateReply = (req, res, next) => {
   const schema = Joi.object({
-    content: Joi.string().required(),
+    content: Joi.string().when('whatsappTemplate', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    }),
     useTemplate: Joi.boolean().optional(),
     templateId: Joi.string().optional(),
-    templateVariables: Joi.object().optional()
+    templateVariables: Joi.object().optional(),
+    // Approved WhatsApp template, required outside the 24-hour window
+    whatsappTemplate: Joi.object({
+      name: Joi.string().pattern(/^[a-z0-9_]+$/).max(512).required(),
+      language: Joi.string().pattern(/^[a-z]{2,3}(_[A-Z]{2})?$/).optional(),
+      parameters: Joi.array().items(Joi.string().max(1024)).max(20).optional()
+    }).optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate hiding or unhiding a comment
+exports.validateVisibility = (req, res, next) => {
+  const schema = Joi.object({
+    hidden: Joi.boolean().required()
   });
 
   const { error } = schema.validate(req.body);
@@ -63,13 +356,63 @@ exports.validateReply = (req, res, next) => {
   next();
 };
 
+// Label auto-apply rule
+const labelRuleSchema = Joi.object({
+  field: Joi.string().valid('content', 'sentiment', 'platform', 'type', 'author', 'rating').required(),
+  operator: Joi.string().valid('contains', 'equals', 'not_equals', 'greater_than', 'less_than', 'starts_with', 'ends_with').required(),
+  value: Joi.string().required(),
+  isActive: Joi.boolean().optional()
+});
+
 // Validate label creation
 exports.validateLabel = (req, res, next) => {
   const schema = Joi.object({
     name: Joi.string().required(),
     color: Joi.string().pattern(/^#[0-9A-F]{6}$/i).required(),
     description: Joi.string().optional(),
-    icon: Joi.string().optional()
+    icon: Joi.string().optional(),
+    autoApplyRules: Joi.array().items(labelRuleSchema).optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate label update
+exports.validateLabelUpdate = (req, res, next) => {
+  const schema = Joi.object({
+    name: Joi.string().optional(),
+    color: Joi.string().pattern(/^#[0-9A-F]{6}$/i).optional(),
+    description: Joi.string().allow('').optional(),
+    icon: Joi.string().allow('').optional(),
+    autoApplyRules: Joi.array().items(labelRuleSchema).optional()
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate label rule dry run
+exports.validateLabelPreview = (req, res, next) => {
+  const schema = Joi.object({
+    autoApplyRules: Joi.array().items(labelRuleSchema).min(1).required(),
+    limit: Joi.number().integer().min(1).max(500).optional()
   });
 
   const { error } = schema.validate(req.body);
@@ -108,17 +451,117 @@ exports.validateKnowledgeBase = (req, res, next) => {
   next();
 };
 
+// Response template applicability
+const templateApplicableForSchema = Joi.object({
+  platforms: Joi.array().items(Joi.string().valid('instagram', 'facebook', 'whatsapp', 'youtube', 'google', 'website')).optional(),
+  types: Joi.array().items(Joi.string().valid('comment', 'dm', 'review', 'mention')).optional(),
+  sentiments: Joi.array().items(Joi.string().valid('positive', 'negative', 'neutral')).optional()
+});
+
 // Validate response template
 exports.validateResponseTemplate = (req, res, next) => {
   const schema = Joi.object({
     name: Joi.string().required(),
     content: Joi.string().required(),
     category: Joi.string().optional(),
-    applicableFor: Joi.object({
-      platforms: Joi.array().items(Joi.string().valid('instagram', 'facebook', 'whatsapp', 'youtube', 'google', 'website')).optional(),
-      types: Joi.array().items(Joi.string().valid('comment', 'dm', 'review', 'mention')).optional(),
-      sentiments: Joi.array().items(Joi.string().valid('positive', 'negative', 'neutral')).optional()
-    }).optional()
+    applicableFor: templateApplicableForSchema.optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+
+// Validate response template update
+exports.validateResponseTemplateUpdate = (req, res, next) => {
+  const schema = Joi.object({
+    name: Joi.string().optional(),
+    content: Joi.string().optional(),
+    category: Joi.string().allow('').optional(),
+    applicableFor: templateApplicableForSchema.optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate response template preview
+exports.validateTemplatePreview = (req, res, next) => {
+  const schema = Joi.object({
+    interactionId: Joi.string().optional(),
+    variables: Joi.object().pattern(Joi.string(), Joi.alternatives(Joi.string().allow(''), Joi.number())).optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Validate analytics query (date range, bucket size, timezone)
+exports.validateAnalyticsQuery = (req, res, next) => {
+  const date = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('Dates must be in YYYY-MM-DD format');
+
+  const schema = Joi.object({
+    from: date.optional(),
+    to: date.optional(),
+    interval: Joi.string().valid('hour', 'day', 'week').optional(),
+    timezone: Joi.string().custom((value, helpers) => (
+      isValidTimezone(value) ? value : helpers.message('Invalid timezone')
+    )).optional(),
+    platform: Joi.string().valid('instagram', 'facebook', 'whatsapp', 'youtube', 'google', 'website').optional()
+  });
+
+  const { error } = schema.validate(req.query);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  if (req.query.from && req.query.to && req.query.from > req.query.to) {
+    return res.status(400).json({
+      success: false,
+      error: '"from" must be on or before "to"'
+    });
+  }
+
+  next();
+};
+
+// Validate Facebook Page / Instagram account selection
+exports.validateMetaConnect = (req, res, next) => {
+  const schema = Joi.object({
+    selection: Joi.string().required(),
+    accounts: Joi.array().items(Joi.object({
+      pageId: Joi.string().required(),
+      platform: Joi.string().valid('facebook', 'instagram').required()
+    })).min(1).max(50).required()
   });
 
   const { error } = schema.validate(req.body);
@@ -133,3 +576,61 @@ exports.validateResponseTemplate = (req, res, next) => {
   next();
 };
 
+// Validate platform sync settings
+exports.validatePlatformSettings = (req, res, next) => {
+  const schema = Joi.object({
+    autoSync: Joi.boolean().optional(),
+    syncInterval: Joi.number().integer().min(1).max(1440).optional(),
+    enableWebhooks: Joi.boolean().optional(),
+    syncComments: Joi.boolean().optional(),
+    syncDMs: Joi.boolean().optional(),
+    syncReviews: Joi.boolean().optional(),
+    syncMentions: Joi.boolean().optional()
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Auto-reply policy validation
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  'string.pattern.base': '{#label} must be a time in HH:mm format'
+});
+
+exports.validateAutoReplyPolicy = (req, res, next) => {
+  const schema = Joi.object({
+    enabled: Joi.boolean().optional(),
+    platforms: Joi.array().items(
+      Joi.string().valid('instagram', 'facebook', 'whatsapp', 'youtube', 'google', 'website')
+    ).unique().optional(),
+    types: Joi.array().items(Joi.string().valid('comment', 'dm', 'review', 'mention')).unique().optional(),
+    minConfidence: Joi.number().min(0).max(1).optional(),
+    quietHours: Joi.object({
+      enabled: Joi.boolean().optional(),
+      start: timeOfDay.optional(),
+      end: timeOfDay.optional()
+    }).optional(),
+    maxPerAuthorPerDay: Joi.number().integer().min(0).max(100).optional(),
+    blockedKeywords: Joi.array().items(Joi.string().trim().min(1).max(100)).max(200).optional(),
+    delayMinutes: Joi.number().integer().min(0).max(1440).optional()
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
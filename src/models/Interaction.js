@@ -26,11 +26,10 @@ const interactionSchema = new mongoose.Schema({
     index: true
   },
   
-  // Unique platform identifier
+  // Platform identifier, unique per organization and platform
   platformId: {
     type: String,
-    required: true,
-    unique: true
+    required: true
   },
   platformUrl: String,
   
@@ -41,7 +40,7 @@ const interactionSchema = new mongoose.Schema({
   },
   contentType: {
     type: String,
-    enum: ['text', 'image', 'video', 'audio'],
+    enum: ['text', 'image', 'video', 'audio', 'document', 'location', 'contacts', 'reaction'],
     default: 'text'
   },
   language: String,
@@ -86,6 +85,11 @@ const interactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Hidden on the platform by a moderator
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
   
   // AI & Sentiment Analysis
   sentiment: {
@@ -113,6 +117,11 @@ const interactionSchema = new mongoose.Schema({
     enum: ['low', 'medium', 'high', 'urgent'],
     default: 'medium'
   },
+  toxicity: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
   
   // AI response
   aiSuggestion: {
@@ -125,6 +134,16 @@ const interactionSchema = new mongoose.Schema({
       enum: ['accepted', 'modified', 'rejected']
     }
   },
+  // Knowledge base chunks used as context for the AI suggestion
+  knowledgeChunks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeChunk'
+  }],
+  // Set once the interaction's AI credit is taken, so job retries aren't charged again
+  aiCreditReserved: {
+    type: Boolean,
+    default: false
+  },
   autoReplyEligible: {
     type: Boolean,
     default: false
@@ -176,10 +195,27 @@ const interactionSchema = new mongoose.Schema({
       max: 5
     },
     reviewTitle: String,
+    recommendationType: String, // Facebook recommendations: positive or negative
+    locationId: String, // Google Business location the review belongs to
     
     // Media attachments
     mediaUrls: [String],
     hasMedia: Boolean,
+    // Media downloaded from the platform (WhatsApp media URLs expire)
+    media: [{
+      _id: false,
+      mediaId: String,
+      type: { type: String },
+      mimeType: String,
+      fileName: String,
+      sha256: String,
+      size: Number,
+      path: String
+    }],
+    
+    // Messaging context
+    reactionTo: String, // Message a reaction was left on
+    interactiveReplyId: String, // Button or list option the customer picked
     
     // Location
     location: String,
@@ -217,9 +253,24 @@ const interactionSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['sent', 'failed', 'deleted'],
+      enum: ['pending', 'sent', 'failed', 'deleted', 'cancelled'],
       default: 'sent'
-    }
+    },
+    scheduledFor: Date, // Delayed auto-replies are sent at this time
+    error: String, // Last platform error when sending failed
+    // Approved template sent instead of free-form text (WhatsApp, outside the 24h window)
+    template: {
+      name: String,
+      language: String,
+      parameters: [String]
+    },
+    // Delivery receipts reported by the platform
+    deliveryStatus: {
+      type: String,
+      enum: ['sent', 'delivered', 'read', 'failed']
+    },
+    deliveredAt: Date,
+    readAt: Date
   }],
   
   responseCount: {
@@ -280,12 +331,15 @@ const interactionSchema = new mongoose.Schema({
 
 // Indexes for performance
 interactionSchema.index({ organization: 1, createdAt: -1 });
+interactionSchema.index({ organization: 1, platformCreatedAt: -1 });
 interactionSchema.index({ organization: 1, status: 1 });
 interactionSchema.index({ organization: 1, platform: 1, createdAt: -1 });
 interactionSchema.index({ organization: 1, sentiment: 1 });
 interactionSchema.index({ assignedTo: 1, status: 1 });
-interactionSchema.index({ platformId: 1 });
+interactionSchema.index({ organization: 1, platform: 1, platformId: 1 }, { unique: true });
 interactionSchema.index({ 'metadata.postId': 1 });
+interactionSchema.index({ organization: 1, platform: 1, threadId: 1, platformCreatedAt: -1 });
+interactionSchema.index({ 'replies.platformResponseId': 1 }, { sparse: true });
 
 // Update response count when adding replies
 interactionSchema.pre('save', function(next) {
@@ -305,13 +359,15 @@ interactionSchema.pre('save', function(next) {
 });
 
 // Method to add reply
-interactionSchema.methods.addReply = function(content, userId, platformResponseId = null, wasAutoGenerated = false) {
+interactionSchema.methods.addReply = function(content, userId, platformResponseId = null, wasAutoGenerated = false, status = 'sent', template = undefined) {
   this.replies.push({
     content,
     sentBy: userId,
     sentAt: new Date(),
     platformResponseId,
-    wasAutoGenerated
+    wasAutoGenerated,
+    status,
+    template
   });
   
   this.status = 'replied';
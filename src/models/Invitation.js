@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const invitationSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'manager', 'agent', 'viewer'],
+    default: 'agent'
+  },
+  firstName: String,
+  lastName: String,
+  
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  // SHA-256 of the token in the invitation link
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  acceptedAt: Date,
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  
+  lastSentAt: Date,
+  sendCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ organization: 1, status: 1 });
+invitationSchema.index({ organization: 1, email: 1 });
+
+// Pending invitations past their expiry can no longer be accepted
+invitationSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt <= new Date();
+});
+
+// Generate a new link token, returns the raw token
+invitationSchema.methods.generateToken = function(expiresInDays) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = this.constructor.hashToken(token);
+  this.expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+  this.lastSentAt = new Date();
+  this.sendCount += 1;
+  return token;
+};
+
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -70,6 +70,22 @@ const knowledgeBaseSchema = new mongoose.Schema({
     default: {}
   },
   
+  // Chunking/embedding status for retrieval
+  indexing: {
+    status: {
+      type: String,
+      enum: ['pending', 'indexed', 'failed'],
+      default: 'pending'
+    },
+    chunkCount: {
+      type: Number,
+      default: 0
+    },
+    embeddingModel: String, // null when indexed for keyword search only
+    indexedAt: Date,
+    error: String
+  },
+  
   // Usage tracking
   usageCount: {
     type: Number,
@@ -101,6 +117,11 @@ knowledgeBaseSchema.index({ organization: 1, type: 1 });
 knowledgeBaseSchema.index({ keywords: 1 });
 knowledgeBaseSchema.index({ title: 'text', content: 'text', keywords: 'text' });
 
+// Whether the entry should be used as AI context
+knowledgeBaseSchema.methods.isRetrievable = function() {
+  return this.isActive && this.isTrainingData;
+};
+
 // Increment usage
 knowledgeBaseSchema.methods.incrementUsage = function() {
   this.usageCount += 1;
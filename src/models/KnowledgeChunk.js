@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A retrievable piece of a KnowledgeBase entry, optionally with its embedding
+const knowledgeChunkSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  knowledgeBase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase',
+    required: true
+  },
+  
+  // Position of the chunk within the entry
+  index: {
+    type: Number,
+    required: true
+  },
+  
+  title: String, // Copied from the entry for prompt context
+  content: {
+    type: String,
+    required: true
+  },
+  
+  // Embedding vector, large so excluded from queries by default
+  embedding: {
+    type: [Number],
+    select: false
+  },
+  embeddingModel: String, // provider:model the vector was created with
+  
+  // Mirrors entry isActive && isTrainingData
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+knowledgeChunkSchema.index({ knowledgeBase: 1, index: 1 });
+knowledgeChunkSchema.index({ organization: 1, isActive: 1, embeddingModel: 1 });
+knowledgeChunkSchema.index({ title: 'text', content: 'text' });
+
+module.exports = mongoose.model('KnowledgeChunk', knowledgeChunkSchema);
@@ -69,6 +69,18 @@ labelSchema.methods.incrementUsage = function() {
   return this.save();
 };
 
+// Resolve the interaction value a rule field refers to
+function getRuleFieldValue(interaction, field) {
+  switch (field) {
+    case 'author':
+      return [interaction.author?.name, interaction.author?.username].filter(Boolean).join(' ');
+    case 'rating':
+      return interaction.metadata?.rating;
+    default:
+      return interaction[field];
+  }
+}
+
 // Check if rules apply to an interaction
 labelSchema.methods.appliesToInteraction = function(interaction) {
   if (!this.autoApplyRules || this.autoApplyRules.length === 0) {
@@ -78,8 +90,8 @@ labelSchema.methods.appliesToInteraction = function(interaction) {
   for (const rule of this.autoApplyRules) {
     if (!rule.isActive) continue;
     
-    const fieldValue = interaction[rule.field]?.toString().toLowerCase() || '';
-    const ruleValue = rule.value.toLowerCase();
+    const fieldValue = getRuleFieldValue(interaction, rule.field)?.toString().toLowerCase() || '';
+    const ruleValue = (rule.value || '').toLowerCase();
     
     let matches = false;
     
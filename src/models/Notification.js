@@ -47,6 +47,7 @@ const notificationSchema = new mongoose.Schema({
   },
   
   actionUrl: String, // Where to go when clicked
+  data: mongoose.Schema.Types.Mixed, // Type-specific details, e.g. postId for spikes
   
   isRead: {
     type: Boolean,
@@ -73,6 +74,7 @@ const notificationSchema = new mongoose.Schema({
 // Indexes
 notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
 notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ organization: 1, type: 1, createdAt: -1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
 
 // Mark as read
@@ -20,6 +20,10 @@ const organizationSchema = new mongoose.Schema({
     enum: ['small', 'medium', 'large', 'enterprise'],
     default: 'small'
   },
+  timezone: {
+    type: String,
+    default: 'UTC' // Used for reporting periods
+  },
   
   // Subscription details
   subscription: {
@@ -79,6 +83,80 @@ const organizationSchema = new mongoose.Schema({
     lastResetDate: Date
   },
   
+  // AI provider, falls back to AI_PROVIDER when unset
+  ai: {
+    provider: {
+      type: String,
+      enum: ['openai', 'anthropic', 'azure_openai', 'local']
+    },
+    model: String
+  },
+  
+  // Auto-reply policy for AI suggestions
+  autoReply: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    platforms: [{
+      type: String,
+      enum: ['instagram', 'facebook', 'whatsapp', 'youtube', 'google', 'website']
+    }], // Empty means all platforms
+    types: [{
+      type: String,
+      enum: ['comment', 'dm', 'review', 'mention']
+    }], // Empty means all types
+    minConfidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.8
+    },
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      start: {
+        type: String,
+        default: '22:00' // HH:mm in organization timezone
+      },
+      end: {
+        type: String,
+        default: '08:00'
+      }
+    },
+    maxPerAuthorPerDay: {
+      type: Number,
+      min: 0,
+      default: 3
+    },
+    blockedKeywords: [String],
+    delayMinutes: {
+      type: Number,
+      min: 0,
+      max: 1440,
+      default: 0 // Time agents have to cancel before sending
+    }
+  },
+  
+  // Service level targets, used for SLA breach counts in digests
+  sla: {
+    firstResponseMinutes: {
+      type: Number,
+      min: 1,
+      default: 1440
+    }
+  },
+  
+  // Security settings
+  security: {
+    requireEmailVerification: {
+      type: Boolean,
+      default: false // Block login until the user's email is verified
+    }
+  },
+  
   // White label settings
   whiteLabel: {
     enabled: {
@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+// Content types each platform can sync, and the setting that toggles each one
+const SYNC_TYPES_BY_PLATFORM = {
+  google: ['reviews'],
+  youtube: ['comments'],
+  instagram: ['comments', 'dms', 'mentions'],
+  facebook: ['comments', 'dms', 'reviews'],
+  whatsapp: ['dms']
+};
+
+const SYNC_SETTINGS = {
+  comments: 'syncComments',
+  dms: 'syncDMs',
+  reviews: 'syncReviews',
+  mentions: 'syncMentions'
+};
 
 const platformConnectionSchema = new mongoose.Schema({
   organization: {
@@ -20,12 +37,18 @@ const platformConnectionSchema = new mongoose.Schema({
   platformProfilePicture: String,
   platformEmail: String,
   
-  // OAuth tokens (should be encrypted in production)
+  // OAuth tokens, encrypted at rest (AES-256-GCM) and decrypted on read
   accessToken: {
     type: String,
-    required: true
+    required: true,
+    set: encrypt,
+    get: decrypt
+  },
+  refreshToken: {
+    type: String,
+    set: encrypt,
+    get: decrypt
   },
-  refreshToken: String,
   tokenExpiry: Date,
   scope: [String],
   
@@ -129,6 +152,7 @@ const platformConnectionSchema = new mongoose.Schema({
 platformConnectionSchema.index({ organization: 1, platform: 1 });
 platformConnectionSchema.index({ organization: 1, isActive: 1 });
 platformConnectionSchema.index({ platformUserId: 1 });
+platformConnectionSchema.index({ 'platformData.pageId': 1 });
 
 // Compound unique index - one platform account per organization
 platformConnectionSchema.index(
@@ -136,9 +160,9 @@ platformConnectionSchema.index(
   { unique: true }
 );
 
-// Method to update sync stats
-platformConnectionSchema.methods.updateSyncStats = function(count, success = true) {
-  this.lastSyncAt = new Date();
+// Method to update sync stats. lastSyncAt is where the next sync picks up,
+// so it only moves on success, to when the sync started.
+platformConnectionSchema.methods.updateSyncStats = function(count, success = true, startedAt = new Date()) {
   this.stats.lastSyncCount = count;
   this.stats.totalInteractionsSynced += count;
   
@@ -146,6 +170,7 @@ platformConnectionSchema.methods.updateSyncStats = function(count, success = tru
     this.stats.failedSyncAttempts += 1;
     this.status = 'error';
   } else {
+    this.lastSyncAt = startedAt;
     this.stats.failedSyncAttempts = 0;
     this.status = 'connected';
   }
@@ -170,5 +195,19 @@ platformConnectionSchema.methods.isTokenExpired = function() {
   return new Date() > this.tokenExpiry;
 };
 
+// Never send tokens to clients
+platformConnectionSchema.methods.toJSON = function() {
+  const connection = this.toObject();
+  delete connection.accessToken;
+  delete connection.refreshToken;
+  return connection;
+};
+
+// Get content types enabled for sync on this connection
+platformConnectionSchema.methods.getEnabledSyncTypes = function() {
+  const types = SYNC_TYPES_BY_PLATFORM[this.platform] || [];
+  return types.filter(type => this.settings?.[SYNC_SETTINGS[type]] !== false);
+};
+
 module.exports = mongoose.model('PlatformConnection', platformConnectionSchema);
 
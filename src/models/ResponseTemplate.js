@@ -94,6 +94,66 @@ responseTemplateSchema.methods.render = function(data = {}) {
   return rendered;
 };
 
+// Render and report variables that have no value
+responseTemplateSchema.methods.preview = function(data = {}) {
+  const missingVariables = this.variables.filter(variable =>
+    data[variable] === undefined || data[variable] === null || data[variable] === ''
+  );
+
+  return {
+    content: this.render(data),
+    missingVariables
+  };
+};
+
+// Check if template applies to an interaction (empty lists match everything)
+responseTemplateSchema.methods.isApplicableTo = function(interaction) {
+  const { platforms = [], types = [], sentiments = [] } = this.applicableFor || {};
+
+  return (platforms.length === 0 || platforms.includes(interaction.platform)) &&
+    (types.length === 0 || types.includes(interaction.type)) &&
+    (sentiments.length === 0 || !interaction.sentiment || sentiments.includes(interaction.sentiment));
+};
+
+// Variables filled automatically from the interaction being replied to
+responseTemplateSchema.statics.BUILT_IN_VARIABLES = {
+  author_name: {
+    description: 'Name of the person who wrote the message',
+    resolve: interaction => interaction.author?.name || interaction.author?.username
+  },
+  author_username: {
+    description: 'Username of the person who wrote the message',
+    resolve: interaction => interaction.author?.username
+  },
+  platform: {
+    description: 'Platform the message came from',
+    resolve: interaction => interaction.platform &&
+      interaction.platform.charAt(0).toUpperCase() + interaction.platform.slice(1)
+  },
+  rating: {
+    description: 'Star rating of a review',
+    resolve: interaction => interaction.metadata?.rating
+  },
+  post_url: {
+    description: 'Link to the post or review',
+    resolve: interaction => interaction.metadata?.postUrl || interaction.platformUrl
+  }
+};
+
+// Build built-in variable values for an interaction
+responseTemplateSchema.statics.getInteractionVariables = function(interaction) {
+  const variables = {};
+
+  Object.entries(this.BUILT_IN_VARIABLES).forEach(([name, { resolve }]) => {
+    const value = resolve(interaction);
+    if (value !== undefined && value !== null && value !== '') {
+      variables[name] = value.toString();
+    }
+  });
+
+  return variables;
+};
+
 // Increment usage
 responseTemplateSchema.methods.incrementUsage = function() {
   this.usageCount += 1;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A login session. Its refresh token rotates on every use; the session is the token family.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  
+  // SHA-256 of the current refresh token
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of rotated-out tokens, presenting one again means the family leaked
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  
+  // Device info
+  userAgent: String,
+  device: String, // e.g. "Chrome on Windows"
+  ipAddress: String,
+  
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked_all', 'reuse_detected', 'password_changed']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -45,7 +49,9 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Tokens are stored as SHA-256 hashes and cleared once used
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
   lastLogin: Date,
@@ -77,6 +83,11 @@ const userSchema = new mongoose.Schema({
       default: 'UTC'
     }
   },
+  // Last digest period sent (e.g. "daily:2024-05-01"), so none is sent twice
+  digest: {
+    lastPeriod: String,
+    lastSentAt: Date
+  },
   metadata: {
     signupSource: String,
     signupIp: String,
@@ -89,6 +100,8 @@ const userSchema = new mongoose.Schema({
 // Indexes
 userSchema.index({ email: 1 });
 userSchema.index({ organization: 1, role: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -114,6 +127,27 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Create a password reset token, returns the raw token for the email link
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+  return token;
+};
+
+// Create an email verification token, returns the raw token for the email link
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  return token;
+};
+
+// Hash a reset/verification token for storage and lookup
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 // Get full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
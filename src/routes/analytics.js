@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analyticsController');
+const { protect, authorize } = require('../middlewares/auth');
+const { validateAnalyticsQuery } = require('../middlewares/validation');
+
+// All analytics routes require authentication
+router.use(protect);
+router.use(validateAnalyticsQuery);
+
+router.get('/overview', analyticsController.getOverview);
+router.get('/volume', analyticsController.getVolume);
+router.get('/sentiment', analyticsController.getSentimentTrend);
+router.get('/response-times', analyticsController.getResponseTimes);
+router.get('/platforms', analyticsController.getPlatformBreakdown);
+
+// Agent performance (Manager/Admin only)
+router.get('/agents', authorize('admin', 'manager'), analyticsController.getAgentBreakdown);
+
+module.exports = router;
@@ -1,12 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { protect, authorize } = require('../middlewares/auth');
-const { validateRegistration, validateLogin } = require('../middlewares/validation');
+const { protect } = require('../middlewares/auth');
+const {
+  validateRegistration,
+  validateLogin,
+  validateRefreshToken,
+  validateEmailRequest,
+  validateResetPassword,
+  validateVerifyEmail
+} = require('../middlewares/validation');
 
 // Public routes
 router.post('/register', validateRegistration, authController.register);
 router.post('/login', validateLogin, authController.login);
+router.post('/refresh', validateRefreshToken, authController.refreshToken);
+router.post('/forgot-password', validateEmailRequest, authController.forgotPassword);
+router.post('/reset-password', validateResetPassword, authController.resetPassword);
+router.post('/verify-email', validateVerifyEmail, authController.verifyEmail);
+router.post('/resend-verification', validateEmailRequest, authController.resendVerification);
 
 // Protected routes
 router.get('/me', protect, authController.getMe);
@@ -14,13 +26,10 @@ router.put('/profile', protect, authController.updateProfile);
 router.put('/change-password', protect, authController.changePassword);
 router.post('/logout', protect, authController.logout);
 
-// Admin/Manager only routes
-router.post(
-  '/team-member',
-  protect,
-  authorize('admin', 'manager'),
-  authController.createTeamMember
-);
+// Sessions
+router.get('/sessions', protect, authController.getSessions);
+router.delete('/sessions', protect, authController.revokeAllSessions);
+router.delete('/sessions/:id', protect, authController.revokeSession);
 
 module.exports = router;
 
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const inboxController = require('../controllers/inboxController');
 const { protect, authorize } = require('../middlewares/auth');
-const { validateReply } = require('../middlewares/validation');
+const { validateReply, validateVisibility } = require('../middlewares/validation');
 
 // All inbox routes require authentication
 router.use(protect);
@@ -16,9 +16,24 @@ router.get('/', inboxController.getInteractions);
 // Get single interaction
 router.get('/:id', inboxController.getInteraction);
 
+// Get the conversation an interaction belongs to
+router.get('/:id/thread', inboxController.getThread);
+
+// Download media attached to an interaction
+router.get('/:id/media/:mediaId', inboxController.getMedia);
+
 // Reply to interaction
 router.post('/:id/reply', validateReply, inboxController.replyToInteraction);
 
+// Retry a reply the platform failed to accept
+router.post('/:id/replies/:replyId/retry', inboxController.retryReply);
+
+// Cancel a queued auto-reply before it is sent
+router.post('/:id/replies/:replyId/cancel', inboxController.cancelAutoReply);
+
+// Delete a sent reply from the platform
+router.delete('/:id/replies/:replyId', inboxController.deleteReply);
+
 // Assign interaction (Manager/Admin only)
 router.put(
   '/:id/assign',
@@ -35,5 +50,8 @@ router.post('/:id/notes', inboxController.addNote);
 // Update status
 router.put('/:id/status', inboxController.updateStatus);
 
+// Hide or unhide a comment on the platform
+router.put('/:id/visibility', validateVisibility, inboxController.updateVisibility);
+
 module.exports = router;
 
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const invitationController = require('../controllers/invitationController');
+const { protect, authorize } = require('../middlewares/auth');
+const { checkPlanLimit } = require('../middlewares/planLimits');
+const {
+  validateInvitation,
+  validateInvitationResend,
+  validateAcceptInvitation
+} = require('../middlewares/validation');
+
+// Public routes (invitee accepting from the email link)
+router.get('/token/:token', invitationController.getInvitationByToken);
+router.post('/accept', validateAcceptInvitation, invitationController.acceptInvitation);
+
+// Managing invitations (Admin/Manager only)
+router.use(protect, authorize('admin', 'manager'));
+
+router.get('/', invitationController.getInvitations);
+router.post('/', checkPlanLimit('users'), validateInvitation, invitationController.createInvitation);
+router.post('/:id/resend', validateInvitationResend, invitationController.resendInvitation);
+router.delete('/:id', invitationController.revokeInvitation);
+
+module.exports = router;
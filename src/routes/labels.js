@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const labelController = require('../controllers/labelController');
+const { protect, authorize } = require('../middlewares/auth');
+const {
+  validateLabel,
+  validateLabelUpdate,
+  validateLabelPreview
+} = require('../middlewares/validation');
+
+// All label routes require authentication
+router.use(protect);
+
+// Get all labels
+router.get('/', labelController.getLabels);
+
+// Test auto-apply rules against recent interactions (Manager/Admin only)
+router.post(
+  '/preview',
+  authorize('admin', 'manager'),
+  validateLabelPreview,
+  labelController.previewRules
+);
+
+// Get single label
+router.get('/:id', labelController.getLabel);
+
+// Create, update and delete labels (Manager/Admin only)
+router.post('/', authorize('admin', 'manager'), validateLabel, labelController.createLabel);
+router.put('/:id', authorize('admin', 'manager'), validateLabelUpdate, labelController.updateLabel);
+router.delete('/:id', authorize('admin', 'manager'), labelController.deleteLabel);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { protect } = require('../middlewares/auth');
+
+// All notification routes require authentication
+router.use(protect);
+
+// Get notifications
+router.get('/', notificationController.getNotifications);
+
+// Get unread count
+router.get('/unread-count', notificationController.getUnreadCount);
+
+// Mark all as read
+router.put('/read-all', notificationController.markAllAsRead);
+
+// Mark one as read
+router.put('/:id/read', notificationController.markAsRead);
+
+module.exports = router;
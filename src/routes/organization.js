@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const { protect, authorize } = require('../middlewares/auth');
+const {
+  validateOrganizationUpdate,
+  validateOwnershipTransfer,
+  validateOrganizationDeactivation,
+  validateMemberUpdate,
+  validateAutoReplyPolicy,
+  validateSecuritySettings,
+  validateAISettings
+} = require('../middlewares/validation');
+
+// All organization routes require authentication
+router.use(protect);
+
+// Profile and branding (updates Admin only)
+router.get('/', organizationController.getOrganization);
+router.put('/', authorize('admin'), validateOrganizationUpdate, organizationController.updateOrganization);
+
+// Subscription and ownership (Admin only)
+router.get('/subscription', authorize('admin'), organizationController.getSubscription);
+router.post(
+  '/transfer-ownership',
+  authorize('admin'),
+  validateOwnershipTransfer,
+  organizationController.transferOwnership
+);
+router.post(
+  '/deactivate',
+  authorize('admin'),
+  validateOrganizationDeactivation,
+  organizationController.deactivateOrganization
+);
+
+// Members (changes Admin only)
+router.get('/members', authorize('admin', 'manager'), organizationController.getMembers);
+router.put('/members/:id', authorize('admin'), validateMemberUpdate, organizationController.updateMember);
+
+// Auto-reply policy (updates Manager/Admin only)
+router.get('/auto-reply', organizationController.getAutoReplyPolicy);
+router.put(
+  '/auto-reply',
+  authorize('admin', 'manager'),
+  validateAutoReplyPolicy,
+  organizationController.updateAutoReplyPolicy
+);
+
+// Security settings (Admin only)
+router.get('/security', authorize('admin'), organizationController.getSecuritySettings);
+router.put(
+  '/security',
+  authorize('admin'),
+  validateSecuritySettings,
+  organizationController.updateSecuritySettings
+);
+
+// AI provider and model (Admin only)
+router.get('/ai', authorize('admin'), organizationController.getAISettings);
+router.put('/ai', authorize('admin'), validateAISettings, organizationController.updateAISettings);
+
+// Plan usage
+router.get('/usage', organizationController.getUsage);
+
+module.exports = router;
@@ -2,18 +2,40 @@ const express = require('express');
 const router = express.Router();
 const platformController = require('../controllers/platformController');
 const { protect, authorize } = require('../middlewares/auth');
+const { checkPlanLimit } = require('../middlewares/planLimits');
+const { validatePlatformSettings, validateMetaConnect } = require('../middlewares/validation');
 
-// All routes require authentication
+// Facebook Login redirects here without our token; the state is verified instead
+router.get('/meta/callback', platformController.handleMetaCallback);
+
+// All other routes require authentication
 router.use(protect);
 
 // Google OAuth flow
-router.get('/google/connect', platformController.initiateGoogleConnection);
+router.get('/google/connect', checkPlanLimit('platforms'), platformController.initiateGoogleConnection);
 router.get('/google/callback', platformController.handleGoogleCallback);
 
+// Facebook Pages & Instagram Business accounts (Facebook Login, then pick accounts)
+router.get('/meta/connect', checkPlanLimit('platforms'), platformController.initiateMetaConnection);
+router.get('/meta/accounts', platformController.getMetaAccounts);
+router.post(
+  '/meta/accounts',
+  checkPlanLimit('platforms'),
+  validateMetaConnect,
+  platformController.connectMetaAccounts
+);
+
 // Platform management
 router.get('/', platformController.getPlatformConnections);
+router.get('/capabilities', platformController.getPlatformCapabilities);
 router.get('/:id', platformController.getPlatformConnection);
 router.delete('/:id', platformController.disconnectPlatform);
+router.put(
+  '/:id/settings',
+  authorize('admin', 'manager'),
+  validatePlatformSettings,
+  platformController.updatePlatformSettings
+);
 router.post('/:id/sync', platformController.syncPlatform);
 
 module.exports = router;
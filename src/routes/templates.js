@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const templateController = require('../controllers/templateController');
+const { protect, authorize } = require('../middlewares/auth');
+const {
+  validateResponseTemplate,
+  validateResponseTemplateUpdate,
+  validateTemplatePreview
+} = require('../middlewares/validation');
+
+// All template routes require authentication
+router.use(protect);
+
+// Get all templates (filter by platform, type, sentiment, category)
+router.get('/', templateController.getTemplates);
+
+// Variables for autocomplete
+router.get('/variables', templateController.getVariables);
+
+// Templates applicable to an interaction
+router.get('/suggest', templateController.suggestTemplates);
+
+// Get single template
+router.get('/:id', templateController.getTemplate);
+
+// Render a template against an interaction
+router.post('/:id/preview', validateTemplatePreview, templateController.previewTemplate);
+
+// Create, update and delete templates (Manager/Admin only)
+router.post('/', authorize('admin', 'manager'), validateResponseTemplate, templateController.createTemplate);
+router.put('/:id', authorize('admin', 'manager'), validateResponseTemplateUpdate, templateController.updateTemplate);
+router.delete('/:id', authorize('admin', 'manager'), templateController.deleteTemplate);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhookController');
+const { verifyMetaSignature } = require('../middlewares/metaSignature');
 
 // Webhook routes are public (called by external services)
 // But we verify signatures/tokens
@@ -13,6 +14,12 @@ router.post('/google', webhookController.handleGoogleWebhook);
 router.get('/youtube', webhookController.verifyYouTubeWebhook);
 router.post('/youtube', webhookController.handleYouTubeWebhook);
 
+// Meta webhooks (Instagram, Facebook, WhatsApp)
+router.get('/meta', webhookController.verifyMetaWebhook);
+router.post('/meta', verifyMetaSignature, webhookController.handleMetaWebhook);
+router.get('/meta/:product(instagram|facebook|whatsapp)', webhookController.verifyMetaWebhook);
+router.post('/meta/:product(instagram|facebook|whatsapp)', verifyMetaSignature, webhookController.handleMetaWebhook);
+
 // Health check
 router.get('/health', webhookController.webhookHealth);
 
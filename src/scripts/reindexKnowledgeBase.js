@@ -0,0 +1,36 @@
+/**
+ * Queue every knowledge base entry for chunking and embedding.
+ *
+ * Run after enabling or changing EMBEDDING_PROVIDER so existing entries
+ * are embedded with the new model: `npm run reindex-knowledge-base`
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const { knowledgeQueue } = require('../config/queue');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+
+async function reindexKnowledgeBase() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let queued = 0;
+
+  const cursor = KnowledgeBase.find().select('_id').cursor();
+
+  for await (const entry of cursor) {
+    await knowledgeBaseService.queueIndexing(entry);
+    queued++;
+  }
+
+  console.log(`✅ Queued ${queued} knowledge base entries for indexing`);
+
+  await knowledgeQueue.close();
+  await mongoose.connection.close();
+}
+
+reindexKnowledgeBase()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Knowledge base reindex failed:', error.message);
+    process.exit(1);
+  });
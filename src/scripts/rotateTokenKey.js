@@ -0,0 +1,69 @@
+/**
+ * Re-encrypt every PlatformConnection token with the active encryption key.
+ *
+ * Rotation steps:
+ *  1. Move the current key to TOKEN_ENCRYPTION_PREVIOUS_KEYS ("id:key")
+ *  2. Set TOKEN_ENCRYPTION_KEY / TOKEN_ENCRYPTION_KEY_ID to the new key
+ *  3. Run `npm run rotate-token-key`
+ *  4. Remove the old key from TOKEN_ENCRYPTION_PREVIOUS_KEYS
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const PlatformConnection = require('../models/PlatformConnection');
+const { getKeyId, getActiveKeyId } = require('../utils/encryption');
+
+async function rotateTokenKey() {
+  const activeKeyId = getActiveKeyId();
+
+  if (!activeKeyId) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is not configured');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let rotated = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  const cursor = PlatformConnection.find().cursor();
+
+  for await (const connection of cursor) {
+    const rawAccessToken = connection.get('accessToken', null, { getters: false });
+    const rawRefreshToken = connection.get('refreshToken', null, { getters: false });
+
+    const upToDate = getKeyId(rawAccessToken) === activeKeyId &&
+      (!rawRefreshToken || getKeyId(rawRefreshToken) === activeKeyId);
+
+    if (upToDate) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      // Reading decrypts with the old key, assigning encrypts with the active key
+      connection.accessToken = connection.accessToken;
+      if (rawRefreshToken) {
+        connection.refreshToken = connection.refreshToken;
+      }
+
+      await connection.save({ validateBeforeSave: false });
+      rotated++;
+    } catch (error) {
+      console.error(`Failed to rotate tokens for connection ${connection._id}:`, error.message);
+      failed++;
+    }
+  }
+
+  console.log(`✅ Token key rotation to "${activeKeyId}" complete: ${rotated} rotated, ${skipped} already current, ${failed} failed`);
+
+  await mongoose.connection.close();
+
+  return failed === 0;
+}
+
+rotateTokenKey()
+  .then(success => process.exit(success ? 0 : 1))
+  .catch(error => {
+    console.error('❌ Token key rotation failed:', error.message);
+    process.exit(1);
+  });
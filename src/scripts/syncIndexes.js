@@ -0,0 +1,40 @@
+/**
+ * Make the database indexes match the model schemas: create missing indexes
+ * and drop ones the schemas no longer define.
+ *
+ * Mongoose only ever creates indexes, so run after upgrading when indexes were
+ * removed or changed, e.g. interactions' platformId is now unique per
+ * organization and platform rather than globally: `npm run sync-indexes`
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+async function syncIndexes() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const modelsDir = path.join(__dirname, '../models');
+  fs.readdirSync(modelsDir)
+    .filter(file => file.endsWith('.js'))
+    .forEach(file => require(path.join(modelsDir, file)));
+
+  for (const name of mongoose.modelNames()) {
+    const dropped = await mongoose.model(name).syncIndexes();
+
+    if (dropped.length > 0) {
+      console.log(`${name}: dropped ${dropped.join(', ')}`);
+    }
+  }
+
+  console.log(`✅ Synced indexes for ${mongoose.modelNames().length} models`);
+
+  await mongoose.connection.close();
+}
+
+syncIndexes()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Index sync failed:', error.message);
+    process.exit(1);
+  });
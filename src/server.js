@@ -2,8 +2,8 @@ require('dotenv').config();
 const app = require('./app');
 const connectDB = require('./config/database');
 const { connectRedis } = require('./config/redis');
+const { createSocketServer, attachRedisAdapter } = require('./config/socket');
 const http = require('http');
-const socketIO = require('socket.io');
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -15,31 +15,12 @@ process.on('uncaughtException', (err) => {
 // Create HTTP server
 const server = http.createServer(app);
 
-// Initialize Socket.IO
-const io = socketIO(server, {
-  cors: {
-    origin: process.env.CORS_ORIGIN || 'http://localhost:4200',
-    methods: ['GET', 'POST']
-  }
-});
+// Initialize Socket.IO (JWT-authenticated, joined to organization and user rooms)
+const io = createSocketServer(server);
 
 // Make io accessible to routes
 app.set('io', io);
 
-// Socket.IO connection handler
-io.on('connection', (socket) => {
-  console.log('New client connected:', socket.id);
-
-  socket.on('join-organization', (organizationId) => {
-    socket.join(`org-${organizationId}`);
-    console.log(`Socket ${socket.id} joined organization ${organizationId}`);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-  });
-});
-
 // Start server
 const PORT = process.env.PORT || 3000;
 
@@ -53,6 +34,9 @@ async function startServer() {
     await connectRedis();
     console.log('✅ Redis connected successfully');
 
+    // Receive events emitted by workers and other API instances
+    await attachRedisAdapter(io);
+
     // Start listening
     server.listen(PORT, () => {
       console.log(`
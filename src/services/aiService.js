@@ -1,67 +1,133 @@
-const axios = require('axios');
+const { getProvider } = require('../integrations/llm');
+const Joi = require('joi');
+
+// Expected shape of the structured analysis response
+const ANALYSIS_SCHEMA = Joi.object({
+  sentiment: Joi.string().lowercase().valid('positive', 'negative', 'neutral').required(),
+  sentimentScore: Joi.number().min(-1).max(1).required(),
+  confidence: Joi.number().min(0).max(1).required(),
+  intent: Joi.string().lowercase().valid('inquiry', 'complaint', 'praise', 'feedback', 'support', 'other').required(),
+  topics: Joi.array().items(Joi.string().trim().min(1).max(50)).max(5).required(),
+  urgency: Joi.string().lowercase().valid('low', 'medium', 'high', 'urgent').required(),
+  language: Joi.string().trim().lowercase().min(2).max(10).allow(null).required(),
+  toxicity: Joi.number().min(0).max(1).required()
+});
+
+// Used when the AI request fails or returns unusable fields
+const DEFAULT_ANALYSIS = {
+  sentiment: 'neutral',
+  sentimentScore: 0,
+  confidence: 0.5,
+  intent: 'other',
+  topics: [],
+  urgency: 'medium',
+  language: null,
+  toxicity: 0
+};
 
 class AIService {
-  constructor() {
-    this.apiKey = process.env.OPENAI_API_KEY;
-    this.apiUrl = 'https://api.openai.com/v1/chat/completions';
-    this.model = 'gpt-4';
+  /**
+   * Resolve the LLM provider for an organization
+   */
+  getProvider(organization = null) {
+    const settings = organization?.ai || {};
+    return getProvider(settings.provider || undefined, settings.model || null);
   }
 
   /**
-   * Analyze sentiment of text
+   * Analyze an interaction in a single request: sentiment, intent,
+   * topics, urgency, language and toxicity
    */
-  async analyzeSentiment(content) {
+  async analyzeInteraction(content, organization = null) {
     try {
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a sentiment analysis expert. Analyze the sentiment of the given text and respond with ONLY one word: "positive", "negative", or "neutral". Also provide a confidence score from 0 to 1.'
-            },
-            {
-              role: 'user',
-              content: `Analyze the sentiment of this text: "${content}"`
-            }
-          ],
-          temperature: 0.3,
-          max_tokens: 50
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
+      const response = await this.getProvider(organization).chat({
+        task: 'analysis',
+        messages: [
+          {
+            role: 'system',
+            content: `You analyze customer messages for a social media inbox. Respond with ONLY a JSON object with these fields:
+- "sentiment": "positive", "negative" or "neutral"
+- "sentimentScore": number from -1 (very negative) to 1 (very positive)
+- "confidence": number from 0 to 1, how confident you are in the sentiment
+- "intent": one of "inquiry", "complaint", "praise", "feedback", "support", "other"
+- "topics": array of 1-3 short topics or keywords
+- "urgency": one of "low", "medium", "high", "urgent"
+- "language": ISO 639-1 code of the message language, e.g. "en"
+- "toxicity": number from 0 (not toxic) to 1 (abusive, hateful or threatening)`
+          },
+          {
+            role: 'user',
+            content: `Message: ${JSON.stringify(content || '')}`
           }
-        }
-      );
+        ],
+        temperature: 0.2,
+        maxTokens: 300
+      });
 
-      const result = response.data.choices[0].message.content.toLowerCase().trim();
-      
-      // Extract sentiment
-      let sentiment = 'neutral';
-      if (result.includes('positive')) sentiment = 'positive';
-      else if (result.includes('negative')) sentiment = 'negative';
-      
-      // Calculate score based on sentiment
-      const sentimentScore = sentiment === 'positive' ? 0.8 : sentiment === 'negative' ? -0.8 : 0;
-      
-      return {
-        sentiment,
-        sentimentScore,
-        sentimentConfidence: 0.85 // Default confidence
-      };
+      return this.parseAnalysis(response.content);
     } catch (error) {
-      console.error('Sentiment analysis error:', error.message);
-      return {
-        sentiment: 'neutral',
-        sentimentScore: 0,
-        sentimentConfidence: 0.5
-      };
+      console.error('Interaction analysis error:', error.message);
+      return { ...this.toAnalysisResult(DEFAULT_ANALYSIS), fallback: true };
     }
   }
 
+  /**
+   * Validate the model's JSON, keeping valid fields and defaulting the rest
+   */
+  parseAnalysis(raw) {
+    let parsed = {};
+
+    try {
+      const json = raw.match(/\{[\s\S]*\}/);
+      parsed = json ? JSON.parse(json[0]) : {};
+    } catch (error) {
+      parsed = {};
+    }
+
+    const { value, error } = ANALYSIS_SCHEMA.validate(parsed, { stripUnknown: true });
+
+    if (!error) {
+      return { ...this.toAnalysisResult(value), fallback: false };
+    }
+
+    console.warn('AI analysis failed validation, using fallback values:', error.message);
+
+    // Salvage whichever fields are valid on their own
+    const valid = {};
+    Object.keys(DEFAULT_ANALYSIS).forEach(field => {
+      const result = ANALYSIS_SCHEMA.extract(field).validate(parsed[field]);
+      if (!result.error && result.value !== undefined) {
+        valid[field] = result.value;
+      }
+    });
+
+    // Sentiment, score and confidence only make sense together
+    const sentimentFields = ['sentiment', 'sentimentScore', 'confidence'];
+    if (!sentimentFields.every(field => field in valid)) {
+      sentimentFields.forEach(field => delete valid[field]);
+    }
+
+    const salvaged = { ...DEFAULT_ANALYSIS, ...valid };
+
+    return { ...this.toAnalysisResult(salvaged), fallback: true };
+  }
+
+  /**
+   * Map analysis fields to Interaction field names
+   */
+  toAnalysisResult(analysis) {
+    return {
+      sentiment: analysis.sentiment,
+      sentimentScore: analysis.sentimentScore,
+      sentimentConfidence: analysis.confidence,
+      intent: analysis.intent,
+      topics: analysis.topics,
+      urgency: analysis.urgency,
+      language: analysis.language,
+      toxicity: analysis.toxicity
+    };
+  }
+
   /**
    * Generate AI response based on interaction and knowledge base
    */
@@ -85,32 +151,23 @@ ${kbContext ? `\n\nKNOWLEDGE BASE:\n${kbContext}` : ''}
 
 Generate a response that addresses the customer's message appropriately.`;
 
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content: systemPrompt
-            },
-            {
-              role: 'user',
-              content: `Customer message: "${interaction.content}"\n\nPlatform: ${interaction.platform}\nSentiment: ${interaction.sentiment || 'unknown'}`
-            }
-          ],
-          temperature: 0.7,
-          max_tokens: 200
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
+      const response = await this.getProvider(interaction.organization).chat({
+        task: 'response',
+        messages: [
+          {
+            role: 'system',
+            content: systemPrompt
+          },
+          {
+            role: 'user',
+            content: `Customer message: "${interaction.content}"\n\nPlatform: ${interaction.platform}\nSentiment: ${interaction.sentiment || 'unknown'}`
           }
-        }
-      );
+        ],
+        temperature: 0.7,
+        maxTokens: 200
+      });
 
-      const generatedResponse = response.data.choices[0].message.content.trim();
+      const generatedResponse = response.content;
       
       return {
         content: generatedResponse,
@@ -123,84 +180,6 @@ Generate a response that addresses the customer's message appropriately.`;
     }
   }
 
-  /**
-   * Detect intent/category of interaction
-   */
-  async detectIntent(content) {
-    try {
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content: 'Classify the intent of this message. Respond with ONLY one word: "inquiry", "complaint", "praise", "feedback", "support", or "other".'
-            },
-            {
-              role: 'user',
-              content: `Classify: "${content}"`
-            }
-          ],
-          temperature: 0.3,
-          max_tokens: 10
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      const intent = response.data.choices[0].message.content.toLowerCase().trim();
-      const validIntents = ['inquiry', 'complaint', 'praise', 'feedback', 'support'];
-      
-      return validIntents.includes(intent) ? intent : 'other';
-    } catch (error) {
-      console.error('Intent detection error:', error.message);
-      return 'other';
-    }
-  }
-
-  /**
-   * Extract topics/keywords from text
-   */
-  async extractTopics(content) {
-    try {
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content: 'Extract 2-3 main topics or keywords from the text. Return them as a comma-separated list.'
-            },
-            {
-              role: 'user',
-              content: `Extract topics: "${content}"`
-            }
-          ],
-          temperature: 0.3,
-          max_tokens: 50
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      const topicsStr = response.data.choices[0].message.content.trim();
-      return topicsStr.split(',').map(t => t.trim()).filter(t => t);
-    } catch (error) {
-      console.error('Topic extraction error:', error.message);
-      return [];
-    }
-  }
-
   /**
    * Determine if interaction is eligible for auto-reply
    */
@@ -220,6 +199,11 @@ Generate a response that addresses the customer's message appropriately.`;
       return false;
     }
 
+    // Don't auto-reply to abusive messages
+    if (interaction.toxicity >= 0.5) {
+      return false;
+    }
+
     // Don't auto-reply if urgency is high
     if (interaction.urgency === 'urgent' || interaction.urgency === 'high') {
       return false;
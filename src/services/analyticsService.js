@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const Interaction = require('../models/Interaction');
+const cacheService = require('./cacheService');
+const { startOfDayInTimezone, formatDateInTimezone, addDays } = require('../utils/dates');
+
+// When an interaction was posted on the platform (falls back to when we stored it)
+const POSTED_AT = { $ifNull: ['$platformCreatedAt', '$createdAt'] };
+const RESOLUTION_TIME = {
+  $cond: [
+    { $ifNull: ['$resolvedAt', false] },
+    { $subtract: ['$resolvedAt', POSTED_AT] },
+    null
+  ]
+};
+
+class AnalyticsService {
+  constructor() {
+    this.cacheTTL = 600; // 10 minutes
+  }
+
+  /**
+   * Resolve query params into a UTC range in the organization's timezone
+   */
+  buildRange(organization, { from, to, interval = 'day', timezone, platform } = {}) {
+    const tz = timezone || organization.timezone || 'UTC';
+    const today = formatDateInTimezone(new Date(), tz);
+
+    const toDate = to || today;
+    const fromDate = from || addDays(toDate, -29);
+
+    // End is exclusive: local midnight after the last day
+    const start = startOfDayInTimezone(fromDate, tz);
+    const end = startOfDayInTimezone(addDays(toDate, 1), tz);
+
+    return {
+      organizationId: organization._id,
+      from: fromDate,
+      to: toDate,
+      start,
+      end,
+      interval,
+      timezone: tz,
+      platform
+    };
+  }
+
+  /**
+   * Base $match for a range, on when interactions were posted so synced
+   * history lands on its own days rather than the day it was synced
+   */
+  matchStage(range) {
+    const window = { $gte: range.start, $lt: range.end };
+    const match = {
+      organization: new mongoose.Types.ObjectId(range.organizationId.toString()),
+      $or: [
+        { platformCreatedAt: window },
+        { platformCreatedAt: null, createdAt: window }
+      ]
+    };
+
+    if (range.platform) {
+      match.platform = range.platform;
+    }
+
+    return { $match: match };
+  }
+
+  /**
+   * Bucket expression for the range interval in the range timezone
+   */
+  bucketExpression(range) {
+    return {
+      $dateTrunc: {
+        date: POSTED_AT,
+        unit: range.interval,
+        timezone: range.timezone,
+        startOfWeek: 'monday'
+      }
+    };
+  }
+
+  /**
+   * Cache results per organization, report type and query
+   */
+  cached(range, type, fn) {
+    const queryKey = [range.from, range.to, range.interval, range.timezone, range.platform || 'all'].join('_');
+    return cacheService.wrap(
+      cacheService.analyticsKey(range.organizationId, type, queryKey),
+      fn,
+      this.cacheTTL
+    );
+  }
+
+  /**
+   * Totals for the whole range
+   */
+  async getOverview(range) {
+    return this.cached(range, 'overview', async () => {
+      const [totals] = await Interaction.aggregate([
+        this.matchStage(range),
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            positive: { $sum: { $cond: [{ $eq: ['$sentiment', 'positive'] }, 1, 0] } },
+            negative: { $sum: { $cond: [{ $eq: ['$sentiment', 'negative'] }, 1, 0] } },
+            neutral: { $sum: { $cond: [{ $eq: ['$sentiment', 'neutral'] }, 1, 0] } },
+            responded: { $sum: { $cond: [{ $gt: ['$responseCount', 0] }, 1, 0] } },
+            resolved: { $sum: { $cond: [{ $ifNull: ['$resolvedAt', false] }, 1, 0] } },
+            autoReplied: { $sum: { $cond: ['$autoReplied', 1, 0] } },
+            avgFirstResponseTime: { $avg: '$firstResponseTime' },
+            avgResolutionTime: { $avg: RESOLUTION_TIME }
+          }
+        },
+        { $project: { _id: 0 } }
+      ]);
+
+      const result = totals || { total: 0, positive: 0, negative: 0, neutral: 0, responded: 0, resolved: 0, autoReplied: 0, avgFirstResponseTime: null, avgResolutionTime: null };
+      result.responseRate = result.total ? result.responded / result.total : 0;
+
+      return result;
+    });
+  }
+
+  /**
+   * Interaction volume per bucket, split by platform and type
+   */
+  async getVolume(range) {
+    return this.cached(range, 'volume', async () => {
+      const buckets = await Interaction.aggregate([
+        this.matchStage(range),
+        {
+          $group: {
+            _id: { bucket: this.bucketExpression(range), platform: '$platform', type: '$type' },
+            count: { $sum: 1 }
+          }
+        },
+        {
+          $group: {
+            _id: '$_id.bucket',
+            total: { $sum: '$count' },
+            breakdown: { $push: { platform: '$_id.platform', type: '$_id.type', count: '$count' } }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+
+      return buckets.map(bucket => {
+        const byPlatform = {};
+        const byType = {};
+        bucket.breakdown.forEach(({ platform, type, count }) => {
+          byPlatform[platform] = (byPlatform[platform] || 0) + count;
+          byType[type] = (byType[type] || 0) + count;
+        });
+
+        return { bucket: bucket._id, total: bucket.total, byPlatform, byType };
+      });
+    });
+  }
+
+  /**
+   * Sentiment mix per bucket
+   */
+  async getSentimentTrend(range) {
+    return this.cached(range, 'sentiment', async () => {
+      const buckets = await Interaction.aggregate([
+        this.matchStage(range),
+        {
+          $group: {
+            _id: this.bucketExpression(range),
+            total: { $sum: 1 },
+            positive: { $sum: { $cond: [{ $eq: ['$sentiment', 'positive'] }, 1, 0] } },
+            negative: { $sum: { $cond: [{ $eq: ['$sentiment', 'negative'] }, 1, 0] } },
+            neutral: { $sum: { $cond: [{ $eq: ['$sentiment', 'neutral'] }, 1, 0] } },
+            avgSentimentScore: { $avg: '$sentimentScore' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+
+      return buckets.map(({ _id, ...bucket }) => ({ bucket: _id, ...bucket }));
+    });
+  }
+
+  /**
+   * Average first response and resolution time (ms) per bucket
+   */
+  async getResponseTimes(range) {
+    return this.cached(range, 'response-times', async () => {
+      const buckets = await Interaction.aggregate([
+        this.matchStage(range),
+        {
+          $group: {
+            _id: this.bucketExpression(range),
+            total: { $sum: 1 },
+            responded: { $sum: { $cond: [{ $gt: ['$responseCount', 0] }, 1, 0] } },
+            resolved: { $sum: { $cond: [{ $ifNull: ['$resolvedAt', false] }, 1, 0] } },
+            avgFirstResponseTime: { $avg: '$firstResponseTime' },
+            avgResolutionTime: { $avg: RESOLUTION_TIME }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+
+      return buckets.map(({ _id, ...bucket }) => ({ bucket: _id, ...bucket }));
+    });
+  }
+
+  /**
+   * Totals per platform
+   */
+  async getPlatformBreakdown(range) {
+    return this.cached(range, 'platforms', async () => {
+      return Interaction.aggregate([
+        this.matchStage(range),
+        {
+          $group: {
+            _id: '$platform',
+            total: { $sum: 1 },
+            positive: { $sum: { $cond: [{ $eq: ['$sentiment', 'positive'] }, 1, 0] } },
+            negative: { $sum: { $cond: [{ $eq: ['$sentiment', 'negative'] }, 1, 0] } },
+            neutral: { $sum: { $cond: [{ $eq: ['$sentiment', 'neutral'] }, 1, 0] } },
+            responded: { $sum: { $cond: [{ $gt: ['$responseCount', 0] }, 1, 0] } },
+            resolved: { $sum: { $cond: [{ $ifNull: ['$resolvedAt', false] }, 1, 0] } },
+            avgFirstResponseTime: { $avg: '$firstResponseTime' },
+            avgResolutionTime: { $avg: RESOLUTION_TIME }
+          }
+        },
+        { $project: { _id: 0, platform: '$_id', total: 1, positive: 1, negative: 1, neutral: 1, responded: 1, resolved: 1, avgFirstResponseTime: 1, avgResolutionTime: 1 } },
+        { $sort: { total: -1 } }
+      ]);
+    });
+  }
+
+  /**
+   * Workload and response times per assigned agent
+   */
+  async getAgentBreakdown(range) {
+    return this.cached(range, 'agents', async () => {
+      const match = this.matchStage(range);
+      match.$match.assignedTo = { $exists: true, $ne: null };
+
+      return Interaction.aggregate([
+        match,
+        {
+          $group: {
+            _id: '$assignedTo',
+            assigned: { $sum: 1 },
+            resolved: { $sum: { $cond: [{ $ifNull: ['$resolvedAt', false] }, 1, 0] } },
+            open: { $sum: { $cond: [{ $in: ['$status', ['unread', 'read', 'assigned']] }, 1, 0] } },
+            repliesSent: { $sum: '$responseCount' },
+            avgFirstResponseTime: { $avg: '$firstResponseTime' },
+            avgResolutionTime: { $avg: RESOLUTION_TIME }
+          }
+        },
+        {
+          $lookup: {
+            from: 'users',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'agent',
+            pipeline: [{ $project: { firstName: 1, lastName: 1, email: 1, avatar: 1 } }]
+          }
+        },
+        { $unwind: { path: '$agent', preserveNullAndEmptyArrays: true } },
+        { $project: { _id: 0, agentId: '$_id', agent: 1, assigned: 1, resolved: 1, open: 1, repliesSent: 1, avgFirstResponseTime: 1, avgResolutionTime: 1 } },
+        { $sort: { assigned: -1 } }
+      ]);
+    });
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -1,12 +1,17 @@
 const User = require('../models/User');
 const Organization = require('../models/Organization');
-const { generateToken, generateRefreshToken } = require('../middlewares/auth');
+const sessionService = require('./sessionService');
+const cacheService = require('./cacheService');
+
+// Emails allowed per address per hour for reset and verification requests
+const EMAIL_REQUEST_LIMIT = 3;
+const EMAIL_REQUEST_WINDOW = 60 * 60;
 
 class AuthService {
   /**
    * Register new user with organization
    */
-  async register(userData) {
+  async register(userData, meta = {}) {
     try {
       const { email, password, firstName, lastName, organizationName } = userData;
 
@@ -42,15 +47,18 @@ class AuthService {
       organization.usage.currentUsers = 1;
       await organization.save();
 
-      // Generate tokens
-      const token = generateToken(user._id);
-      const refreshToken = generateRefreshToken(user._id);
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save({ validateBeforeSave: false });
+
+      // Start a session and generate tokens
+      const { token, refreshToken } = await sessionService.createSession(user, meta);
 
       return {
         user,
         organization,
         token,
-        refreshToken
+        refreshToken,
+        verificationToken
       };
     } catch (error) {
       throw error;
@@ -60,7 +68,7 @@ class AuthService {
   /**
    * Login user
    */
-  async login(email, password) {
+  async login(email, password, meta = {}) {
     try {
       // Find user with password field
       const user = await User.findOne({ email })
@@ -82,13 +90,25 @@ class AuthService {
         throw new Error('Invalid credentials');
       }
 
+      if (!user.organization?.isActive) {
+        const error = new Error('Your organization is deactivated. Please contact support.');
+        error.statusCode = 403;
+        throw error;
+      }
+
+      // Organization may require a verified email
+      if (user.organization?.security?.requireEmailVerification && !user.isEmailVerified) {
+        const error = new Error('Please verify your email address before logging in');
+        error.statusCode = 403;
+        throw error;
+      }
+
       // Update last login
       user.lastLogin = new Date();
       await user.save();
 
-      // Generate tokens
-      const token = generateToken(user._id);
-      const refreshToken = generateRefreshToken(user._id);
+      // Start a session and generate tokens
+      const { token, refreshToken } = await sessionService.createSession(user, meta);
 
       // Remove password from response
       const userObj = user.toJSON();
@@ -145,9 +165,9 @@ class AuthService {
   }
 
   /**
-   * Change password
+   * Change password, signing out every other session
    */
-  async changePassword(userId, currentPassword, newPassword) {
+  async changePassword(userId, currentPassword, newPassword, currentSessionId = null) {
     try {
       const user = await User.findById(userId).select('+password');
 
@@ -165,6 +185,8 @@ class AuthService {
       user.password = newPassword;
       await user.save();
 
+      await sessionService.revokeAll(userId, currentSessionId, 'password_changed');
+
       return { message: 'Password updated successfully' };
     } catch (error) {
       throw error;
@@ -172,47 +194,115 @@ class AuthService {
   }
 
   /**
-   * Create team member
+   * Limit reset/verification emails per address
    */
-  async createTeamMember(organizationId, creatorId, userData) {
+  async checkEmailRateLimit(action, email) {
+    const allowed = await cacheService.rateLimit(
+      cacheService.emailRateLimitKey(action, email),
+      EMAIL_REQUEST_LIMIT,
+      EMAIL_REQUEST_WINDOW
+    );
+
+    if (!allowed) {
+      const error = new Error('Too many requests for this email. Please try again later.');
+      error.statusCode = 429;
+      throw error;
+    }
+  }
+
+  /**
+   * Start a password reset. Returns the user and raw token, or null when
+   * there is no such active account (callers must not reveal which).
+   */
+  async requestPasswordReset(email) {
     try {
-      const { email, firstName, lastName, role } = userData;
+      await this.checkEmailRateLimit('password-reset', email);
 
-      // Check if user already exists
-      const existingUser = await User.findOne({ email });
-      if (existingUser) {
-        throw new Error('User with this email already exists');
+      const user = await User.findOne({ email: email.toLowerCase() });
+      if (!user || !user.isActive) {
+        return null;
       }
 
-      // Check organization limits
-      const organization = await Organization.findById(organizationId);
-      if (organization.checkLimit('users')) {
-        throw new Error('User limit reached for your plan');
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      return { user, resetToken };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Set a new password with a reset token, signing out every session
+   */
+  async resetPassword(token, newPassword) {
+    try {
+      const user = await User.findOne({
+        passwordResetToken: User.hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      });
+
+      if (!user) {
+        throw new Error('Password reset link is invalid or has expired');
       }
 
-      // Generate temporary password
-      const tempPassword = Math.random().toString(36).slice(-8);
+      user.password = newPassword;
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      // The reset link proves the user controls the inbox
+      user.isEmailVerified = true;
+      await user.save();
+
+      await sessionService.revokeAll(user._id, null, 'password_changed');
 
-      // Create user
-      const user = await User.create({
-        email,
-        password: tempPassword,
-        firstName,
-        lastName,
-        role: role || 'agent',
-        organization: organizationId
+      return { message: 'Password has been reset. Please log in with your new password.' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Verify an email address with a verification token
+   */
+  async verifyEmail(token) {
+    try {
+      const user = await User.findOne({
+        emailVerificationToken: User.hashToken(token),
+        emailVerificationExpires: { $gt: new Date() }
       });
 
-      // Update organization user count
-      organization.usage.currentUsers += 1;
-      await organization.save();
+      if (!user) {
+        throw new Error('Verification link is invalid or has expired');
+      }
 
-      // TODO: Send welcome email with temporary password
+      user.isEmailVerified = true;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpires = undefined;
+      await user.save({ validateBeforeSave: false });
 
-      return {
-        user,
-        tempPassword // In production, this should be emailed, not returned
-      };
+      return { message: 'Email verified successfully' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a new verification token. Returns null when there is nothing to
+   * verify (callers must not reveal which).
+   */
+  async resendVerification(email) {
+    try {
+      await this.checkEmailRateLimit('verification', email);
+
+      const user = await User.findOne({ email: email.toLowerCase() });
+      if (!user || !user.isActive || user.isEmailVerified) {
+        return null;
+      }
+
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save({ validateBeforeSave: false });
+
+      return { user, verificationToken };
     } catch (error) {
       throw error;
     }
@@ -0,0 +1,178 @@
+const Interaction = require('../models/Interaction');
+const { replyQueue } = require('../config/queue');
+const aiService = require('./aiService');
+const replyService = require('./replyService');
+const realtimeService = require('./realtimeService');
+const { getTimezoneOffset } = require('../utils/dates');
+
+class AutoReplyService {
+  /**
+   * Decide whether an interaction may be auto-replied under its organization's policy.
+   * Returns { allowed, reason } where reason explains a refusal.
+   */
+  async evaluate(interaction, organization, suggestion) {
+    const policy = organization?.autoReply;
+
+    if (!policy?.enabled) {
+      return { allowed: false, reason: 'Auto-reply is disabled' };
+    }
+
+    if (!suggestion?.content) {
+      return { allowed: false, reason: 'No AI suggestion' };
+    }
+
+    // Job retries must not queue a second auto-reply
+    if (interaction.replies.some(reply => reply.wasAutoGenerated && reply.status !== 'cancelled')) {
+      return { allowed: false, reason: 'Already auto-replied' };
+    }
+
+    if (!aiService.canAutoReply(interaction)) {
+      return { allowed: false, reason: 'Interaction is not eligible for auto-reply' };
+    }
+
+    if (!replyService.supports(interaction.platform)) {
+      return { allowed: false, reason: `Replies to ${interaction.platform} are not supported` };
+    }
+
+    if (policy.platforms?.length && !policy.platforms.includes(interaction.platform)) {
+      return { allowed: false, reason: `Auto-reply is not enabled for ${interaction.platform}` };
+    }
+
+    if (policy.types?.length && !policy.types.includes(interaction.type)) {
+      return { allowed: false, reason: `Auto-reply is not enabled for ${interaction.type}s` };
+    }
+
+    if ((interaction.sentimentConfidence || 0) < policy.minConfidence) {
+      return { allowed: false, reason: 'Confidence below policy minimum' };
+    }
+
+    const content = (interaction.content || '').toLowerCase();
+    const blocked = (policy.blockedKeywords || []).find(keyword =>
+      keyword && content.includes(keyword.toLowerCase())
+    );
+    if (blocked) {
+      return { allowed: false, reason: `Contains blocked keyword "${blocked}"` };
+    }
+
+    if (policy.quietHours?.enabled && this.isQuietTime(policy.quietHours, organization.timezone || 'UTC')) {
+      return { allowed: false, reason: 'Within quiet hours' };
+    }
+
+    if (interaction.author?.platformId) {
+      const recentCount = await this.countRecentAutoReplies(interaction);
+      if (recentCount >= policy.maxPerAuthorPerDay) {
+        return { allowed: false, reason: 'Daily auto-reply limit reached for this author' };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Check if the current local time falls within quiet hours (start/end as HH:mm).
+   * Windows may wrap past midnight, e.g. 22:00-08:00.
+   */
+  isQuietTime(quietHours, timezone, now = new Date()) {
+    const toMinutes = time => {
+      const [hours, minutes] = (time || '00:00').split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+
+    const local = new Date(now.getTime() + getTimezoneOffset(now, timezone));
+    const current = local.getUTCHours() * 60 + local.getUTCMinutes();
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    if (start === end) {
+      return false;
+    }
+
+    return start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  /**
+   * Count auto-replies queued or sent to the same author in the last 24 hours
+   */
+  async countRecentAutoReplies(interaction) {
+    return Interaction.countDocuments({
+      organization: interaction.organization._id || interaction.organization,
+      platform: interaction.platform,
+      'author.platformId': interaction.author.platformId,
+      replies: {
+        $elemMatch: {
+          wasAutoGenerated: true,
+          status: { $in: ['pending', 'sent'] },
+          sentAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+        }
+      }
+    });
+  }
+
+  /**
+   * Add the auto-reply to the interaction and queue it, delayed by the policy's
+   * cancel window
+   */
+  async queue(interaction, organization, content) {
+    const delayMinutes = organization.autoReply?.delayMinutes || 0;
+    const scheduledFor = new Date(Date.now() + delayMinutes * 60 * 1000);
+
+    interaction.replies.push({
+      content,
+      sentAt: new Date(),
+      wasAutoGenerated: true,
+      status: 'pending',
+      scheduledFor
+    });
+    const reply = interaction.replies[interaction.replies.length - 1];
+
+    interaction.status = 'replied';
+    if (interaction.aiSuggestion) {
+      interaction.aiSuggestion.wasUsed = true;
+    }
+
+    await interaction.save();
+
+    await replyQueue.add(
+      { interactionId: interaction._id, replyId: reply._id },
+      { jobId: this.jobId(reply._id), delay: delayMinutes * 60 * 1000 }
+    );
+
+    realtimeService.replyUpdated(interaction, reply);
+
+    return reply;
+  }
+
+  /**
+   * Cancel a queued auto-reply before it is sent.
+   * Returns false when the reply is already being sent.
+   */
+  async cancel(interaction, reply) {
+    const job = await replyQueue.getJob(this.jobId(reply._id));
+
+    if (job) {
+      if (await job.isActive()) {
+        return false;
+      }
+      await job.remove();
+    }
+
+    reply.status = 'cancelled';
+
+    // Back to the agent's queue unless something else was already sent
+    if (!interaction.replies.some(item => item.status === 'sent')) {
+      interaction.status = interaction.assignedTo ? 'assigned' : 'read';
+    }
+
+    await interaction.save();
+
+    return true;
+  }
+
+  jobId(replyId) {
+    return `auto-reply:${replyId}`;
+  }
+}
+
+module.exports = new AutoReplyService();
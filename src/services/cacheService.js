@@ -91,6 +91,24 @@ class CacheService {
     }
   }
 
+  /**
+   * Count an attempt in a fixed window. Returns false once max is exceeded.
+   * Fails open when Redis is unavailable.
+   */
+  async rateLimit(key, max, windowSeconds) {
+    try {
+      const redis = getRedisClient();
+      const count = await redis.incr(key);
+      if (count === 1) {
+        await redis.expire(key, windowSeconds);
+      }
+      return count <= max;
+    } catch (error) {
+      console.error('Cache rate limit error:', error);
+      return true;
+    }
+  }
+
   /**
    * Cache wrapper for functions
    */
@@ -147,6 +165,34 @@ class CacheService {
   analyticsKey(orgId, type, date) {
     return `analytics:${orgId}:${type}:${date}`;
   }
+
+  /**
+   * Generate cache key for per-email rate limits
+   */
+  emailRateLimitKey(action, email) {
+    return `rate:${action}:${email.toLowerCase()}`;
+  }
+
+  /**
+   * Generate cache key for the revoked session denylist
+   */
+  revokedSessionKey(sessionId) {
+    return `revoked-session:${sessionId}`;
+  }
+
+  /**
+   * Generate cache key for a pending Meta OAuth state
+   */
+  metaOAuthStateKey(state) {
+    return `meta-oauth:state:${state}`;
+  }
+
+  /**
+   * Generate cache key for a Meta login awaiting page selection
+   */
+  metaOAuthSelectionKey(selectionId) {
+    return `meta-oauth:selection:${selectionId}`;
+  }
 }
 
 module.exports = new CacheService();
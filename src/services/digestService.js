@@ -0,0 +1,185 @@
+const Interaction = require('../models/Interaction');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const {
+  isValidTimezone,
+  getTimezoneOffset,
+  startOfDayInTimezone,
+  formatDateInTimezone,
+  addDays
+} = require('../utils/dates');
+
+// Statuses that still need work
+const OPEN_STATUSES = ['unread', 'read', 'assigned'];
+
+class DigestService {
+  /**
+   * Local hour (0-23) digests are sent at
+   */
+  digestHour() {
+    const hour = parseInt(process.env.DIGEST_HOUR);
+    return hour >= 0 && hour <= 23 ? hour : 8;
+  }
+
+  /**
+   * Local weekday (0 = Sunday) weekly digests are sent on
+   */
+  digestWeekday() {
+    const weekday = parseInt(process.env.DIGEST_WEEKDAY);
+    return weekday >= 0 && weekday <= 6 ? weekday : 1;
+  }
+
+  getTimezone(user) {
+    const timezone = user.preferences?.timezone || 'UTC';
+    return isValidTimezone(timezone) ? timezone : 'UTC';
+  }
+
+  /**
+   * Check whether it's the user's digest hour (and day, for weekly digests)
+   */
+  isDue(user, now = new Date()) {
+    const local = new Date(now.getTime() + getTimezoneOffset(now, this.getTimezone(user)));
+
+    if (local.getUTCHours() !== this.digestHour()) {
+      return false;
+    }
+
+    return user.preferences.emailFrequency !== 'weekly' || local.getUTCDay() === this.digestWeekday();
+  }
+
+  /**
+   * Period a digest covers: the previous local day, or the previous 7 local days.
+   * The key identifies the period so each one is sent at most once.
+   */
+  getPeriod(user, now = new Date()) {
+    const timezone = this.getTimezone(user);
+    const frequency = user.preferences.emailFrequency;
+    const today = formatDateInTimezone(now, timezone);
+    const from = addDays(today, frequency === 'weekly' ? -7 : -1);
+
+    return {
+      key: `${frequency}:${today}`,
+      frequency,
+      from,
+      to: addDays(today, -1),
+      start: startOfDayInTimezone(from, timezone),
+      end: startOfDayInTimezone(today, timezone)
+    };
+  }
+
+  /**
+   * Stats for a user's digest. Organization-wide counts are shared through `cache`
+   * so users of the same organization and period only query them once.
+   */
+  async compileStats(user, period, cache = new Map()) {
+    const organization = user.organization;
+    const cacheKey = `${organization._id}:${period.start.toISOString()}:${period.end.toISOString()}`;
+
+    if (!cache.has(cacheKey)) {
+      cache.set(cacheKey, this.compileOrganizationStats(organization, period));
+    }
+
+    const [organizationStats, assignedToYou] = await Promise.all([
+      cache.get(cacheKey),
+      Interaction.countDocuments({
+        organization: organization._id,
+        assignedTo: user._id,
+        status: { $in: OPEN_STATUSES }
+      })
+    ]);
+
+    return { ...organizationStats, assignedToYou };
+  }
+
+  async compileOrganizationStats(organization, period) {
+    const slaMs = (organization.sla?.firstResponseMinutes || 1440) * 60 * 1000;
+    const created = { $gte: period.start, $lt: period.end };
+
+    const [newCounts, unresolved, spikePosts, slaBreaches] = await Promise.all([
+      Interaction.aggregate([
+        { $match: { organization: organization._id, createdAt: created } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            positive: { $sum: { $cond: [{ $eq: ['$sentiment', 'positive'] }, 1, 0] } },
+            negative: { $sum: { $cond: [{ $eq: ['$sentiment', 'negative'] }, 1, 0] } }
+          }
+        }
+      ]),
+      Interaction.countDocuments({
+        organization: organization._id,
+        status: { $in: OPEN_STATUSES }
+      }),
+      Notification.distinct('data.postId', {
+        organization: organization._id,
+        type: 'negative_spike',
+        createdAt: created
+      }),
+      // Answered late during the period, or still waiting past the SLA
+      Interaction.countDocuments({
+        organization: organization._id,
+        $or: [
+          { respondedAt: created, firstResponseTime: { $gt: slaMs } },
+          {
+            respondedAt: null,
+            status: { $in: OPEN_STATUSES },
+            createdAt: { $lte: new Date(period.end.getTime() - slaMs) }
+          }
+        ]
+      })
+    ]);
+
+    const counts = newCounts[0] || { total: 0, positive: 0, negative: 0 };
+
+    return {
+      new: counts.total,
+      positive: counts.positive,
+      negative: counts.negative,
+      unresolved,
+      negativeSpikes: spikePosts.length,
+      slaBreaches,
+      slaMinutes: slaMs / 60000
+    };
+  }
+
+  /**
+   * Send a user's digest for the period unless it was already sent.
+   * The period is claimed before sending so restarts and retries can't
+   * send it twice; a failed send releases the claim.
+   */
+  async sendDigest(user, period, cache) {
+    const previous = user.digest?.lastPeriod;
+
+    const claimed = await User.findOneAndUpdate(
+      { _id: user._id, 'digest.lastPeriod': { $ne: period.key } },
+      { 'digest.lastPeriod': period.key }
+    );
+
+    if (!claimed) {
+      return false;
+    }
+
+    try {
+      const stats = await this.compileStats(user, period, cache);
+      const result = await emailService.sendDigest(user, stats, period);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      await User.updateOne({ _id: user._id }, { 'digest.lastSentAt': new Date() });
+
+      return true;
+    } catch (error) {
+      await User.updateOne(
+        { _id: user._id, 'digest.lastPeriod': period.key },
+        previous ? { 'digest.lastPeriod': previous } : { $unset: { 'digest.lastPeriod': 1 } }
+      );
+      throw error;
+    }
+  }
+}
+
+module.exports = new DigestService();
@@ -70,13 +70,11 @@ class EmailService {
   /**
    * Send welcome email
    */
-  async sendWelcomeEmail(user, tempPassword = null) {
+  async sendWelcomeEmail(user) {
     const subject = 'Welcome to ORM System';
     const html = `
       <h1>Welcome to ORM System, ${user.firstName}!</h1>
       <p>Your account has been created successfully.</p>
-      ${tempPassword ? `<p><strong>Temporary Password:</strong> ${tempPassword}</p>
-      <p>Please change your password after your first login.</p>` : ''}
       <p>Get started by connecting your social media accounts and managing all your interactions in one place.</p>
       <p>Best regards,<br>ORM Team</p>
     `;
@@ -133,22 +131,22 @@ class EmailService {
   }
 
   /**
-   * Send daily digest
+   * Send daily or weekly digest
    */
-  async sendDailyDigest(user, stats) {
-    const subject = 'Your Daily ORM Digest';
+  async sendDigest(user, stats, period) {
+    const weekly = period.frequency === 'weekly';
+    const subject = weekly ? 'Your Weekly ORM Digest' : 'Your Daily ORM Digest';
+    const dates = weekly ? `${period.from} to ${period.to}` : period.from;
     const html = `
-      <h2>Daily Digest for ${new Date().toLocaleDateString()}</h2>
+      <h2>${weekly ? 'Weekly' : 'Daily'} Digest for ${dates}</h2>
       <p>Hi ${user.firstName},</p>
-      <h3>Today's Summary:</h3>
+      <h3>Summary:</h3>
       <ul>
-        <li>Total Interactions: ${stats.total || 0}</li>
-        <li>New Comments: ${stats.comments || 0}</li>
-        <li>New DMs: ${stats.dms || 0}</li>
-        <li>New Reviews: ${stats.reviews || 0}</li>
-        <li>Positive: ${stats.positive || 0}</li>
-        <li>Negative: ${stats.negative || 0}</li>
-        <li>Unread: ${stats.unread || 0}</li>
+        <li>New Interactions: ${stats.new || 0} (${stats.positive || 0} positive, ${stats.negative || 0} negative)</li>
+        <li>Unresolved: ${stats.unresolved || 0}</li>
+        <li>Assigned to You: ${stats.assignedToYou || 0}</li>
+        <li>Negative Spikes: ${stats.negativeSpikes || 0}</li>
+        <li>SLA Breaches (first response over ${stats.slaMinutes} minutes): ${stats.slaBreaches || 0}</li>
       </ul>
       <p><a href="${process.env.FRONTEND_URL}/inbox">View all interactions</a></p>
       <p>Best regards,<br>ORM System</p>
@@ -161,6 +159,25 @@ class EmailService {
     });
   }
 
+  /**
+   * Send any other in-app notification by email
+   */
+  async sendNotificationEmail(user, notification) {
+    const html = `
+      <h2>${notification.title}</h2>
+      <p>Hi ${user.firstName},</p>
+      <p>${notification.message}</p>
+      ${notification.actionUrl ? `<p><a href="${process.env.FRONTEND_URL}${notification.actionUrl}">View details</a></p>` : ''}
+      <p>Best regards,<br>ORM System</p>
+    `;
+
+    return this.sendEmail({
+      to: user.email,
+      subject: notification.title,
+      html
+    });
+  }
+
   /**
    * Send password reset email
    */
@@ -183,6 +200,50 @@ class EmailService {
       html
     });
   }
+
+  /**
+   * Send team invitation link
+   */
+  async sendInvitationEmail(invitation, organization, inviter, token) {
+    const acceptUrl = `${process.env.FRONTEND_URL}/accept-invitation?token=${token}`;
+    const subject = `You're invited to join ${organization.name} on ORM System`;
+    const html = `
+      <h2>You're invited to join ${organization.name}</h2>
+      <p>${inviter.firstName} ${inviter.lastName} invited you to join ${organization.name} as ${invitation.role === 'admin' ? 'an' : 'a'} ${invitation.role}.</p>
+      <p><a href="${acceptUrl}">Accept Invitation</a></p>
+      <p>This invitation expires on ${invitation.expiresAt.toUTCString()}.</p>
+      <p>If you weren't expecting this, you can ignore this email.</p>
+      <p>Best regards,<br>ORM System</p>
+    `;
+
+    return this.sendEmail({
+      to: invitation.email,
+      subject,
+      html
+    });
+  }
+
+  /**
+   * Send email verification link
+   */
+  async sendVerificationEmail(user, verificationToken) {
+    const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+    const subject = 'Verify your email address';
+    const html = `
+      <h2>Verify your email address</h2>
+      <p>Hi ${user.firstName},</p>
+      <p>Please confirm your email address by clicking the link below:</p>
+      <p><a href="${verifyUrl}">Verify Email</a></p>
+      <p>This link will expire in 24 hours.</p>
+      <p>Best regards,<br>ORM System</p>
+    `;
+
+    return this.sendEmail({
+      to: user.email,
+      subject,
+      html
+    });
+  }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,78 @@
+const Interaction = require('../models/Interaction');
+const labelService = require('./labelService');
+const usageService = require('./usageService');
+const realtimeService = require('./realtimeService');
+const { aiQueue } = require('../config/queue');
+
+// Fields only written when an interaction is first stored, so re-syncs
+// don't reset inbox state or overwrite AI analysis, or move it to another connection
+const INSERT_ONLY_FIELDS = ['status', 'isRead', 'sentiment', 'platformConnection'];
+
+// Identify an interaction; several organizations may connect the same account
+const KEY_FIELDS = ['organization', 'platform', 'platformId'];
+
+class IngestionService {
+  /**
+   * Store an interaction from a platform, deduplicated by platformId within
+   * the organization and platform.
+   * Returns the stored interaction and whether it was newly created.
+   */
+  async ingest(data) {
+    const $set = {};
+    const $setOnInsert = {};
+
+    Object.entries(data).forEach(([key, value]) => {
+      if (value === undefined || KEY_FIELDS.includes(key)) return;
+      if (INSERT_ONLY_FIELDS.includes(key)) {
+        $setOnInsert[key] = value;
+      } else {
+        $set[key] = value;
+      }
+    });
+
+    const result = await Interaction.findOneAndUpdate(
+      {
+        organization: data.organization,
+        platform: data.platform,
+        platformId: data.platformId
+      },
+      { $set, $setOnInsert },
+      {
+        upsert: true,
+        new: true,
+        setDefaultsOnInsert: true,
+        includeResultMetadata: true
+      }
+    );
+
+    const interaction = result.value;
+    const isNew = !result.lastErrorObject?.updatedExisting;
+
+    if (isNew) {
+      await this.onCreated(interaction);
+    }
+
+    return { interaction, isNew };
+  }
+
+  /**
+   * Hooks run once for every newly created interaction
+   */
+  async onCreated(interaction) {
+    // Messages are never dropped, even past the plan's monthly limit
+    await usageService.record(interaction.organization, 'interactions');
+    await labelService.applyAutoLabels(interaction);
+    realtimeService.interactionCreated(interaction);
+
+    // Synced and webhook interactions alike go through AI analysis once.
+    // Reactions carry no text worth analyzing.
+    if (interaction.contentType !== 'reaction') {
+      await aiQueue.add(
+        { interactionId: interaction._id },
+        { jobId: `ai:${interaction._id}`, attempts: 3, backoff: 2000 }
+      );
+    }
+  }
+}
+
+module.exports = new IngestionService();
@@ -0,0 +1,156 @@
+const Invitation = require('../models/Invitation');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const sessionService = require('./sessionService');
+const usageService = require('./usageService');
+
+class InvitationService {
+  /**
+   * Default validity of an invitation link
+   */
+  defaultExpiryDays() {
+    return parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+  }
+
+  /**
+   * Invite someone to an organization. Returns the invitation and raw link token.
+   */
+  async create(organizationId, inviter, data) {
+    const email = data.email.toLowerCase();
+
+    if (await User.exists({ email })) {
+      throw new Error('A user with this email already exists');
+    }
+
+    const pending = await Invitation.findOne({
+      organization: organizationId,
+      email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+    if (pending) {
+      throw new Error('This email already has a pending invitation. Resend it instead.');
+    }
+
+    const organization = await Organization.findById(organizationId);
+    if (organization.checkLimit('users')) {
+      throw usageService.limitError('users', organization.limits.maxUsers);
+    }
+
+    const invitation = new Invitation({
+      organization: organizationId,
+      email,
+      role: data.role || 'agent',
+      firstName: data.firstName,
+      lastName: data.lastName,
+      invitedBy: inviter._id
+    });
+    const token = invitation.generateToken(data.expiresInDays || this.defaultExpiryDays());
+    await invitation.save();
+
+    return { invitation, organization, token };
+  }
+
+  /**
+   * Issue a new link for a pending invitation, restarting its expiry
+   */
+  async resend(invitation, expiresInDays = null) {
+    if (invitation.status !== 'pending') {
+      throw new Error(`Invitation has already been ${invitation.status}`);
+    }
+
+    const token = invitation.generateToken(expiresInDays || this.defaultExpiryDays());
+    await invitation.save();
+
+    return token;
+  }
+
+  /**
+   * Revoke a pending invitation so its link stops working
+   */
+  async revoke(invitation) {
+    if (invitation.status !== 'pending') {
+      throw new Error(`Invitation has already been ${invitation.status}`);
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    await invitation.save();
+  }
+
+  /**
+   * Find the pending, unexpired invitation for a link token
+   */
+  async findByToken(token) {
+    return Invitation.findOne({
+      tokenHash: Invitation.hashToken(token),
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    }).populate('organization', 'name logo isActive');
+  }
+
+  /**
+   * Accept an invitation: create the user with their chosen password and start a session.
+   * The seat is reserved atomically against the organization's user limit.
+   */
+  async accept(token, data, meta = {}) {
+    const invitation = await this.findByToken(token);
+
+    if (!invitation || !invitation.organization?.isActive) {
+      throw new Error('Invitation is invalid or has expired');
+    }
+
+    if (await User.exists({ email: invitation.email })) {
+      throw new Error('A user with this email already exists');
+    }
+
+    // Claim the invitation first so the link can only be used once
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      { status: 'accepted', acceptedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new Error('Invitation is invalid or has expired');
+    }
+
+    const organizationId = invitation.organization._id;
+    let seatReserved = false;
+    let organization;
+    let user;
+
+    try {
+      organization = await usageService.reserve(organizationId, 'users');
+      seatReserved = true;
+
+      user = await User.create({
+        email: invitation.email,
+        password: data.password,
+        firstName: data.firstName || invitation.firstName,
+        lastName: data.lastName || invitation.lastName,
+        role: invitation.role,
+        organization: organizationId,
+        isEmailVerified: true // The link was delivered to this address
+      });
+    } catch (error) {
+      // Put the seat and the invitation back
+      if (seatReserved) {
+        await usageService.release(organizationId, 'users');
+      }
+      await Invitation.updateOne(
+        { _id: invitation._id },
+        { status: 'pending', $unset: { acceptedAt: 1 } }
+      );
+      throw error;
+    }
+
+    claimed.acceptedUser = user._id;
+    await claimed.save();
+
+    const { token: accessToken, refreshToken } = await sessionService.createSession(user, meta);
+
+    return { user, organization, token: accessToken, refreshToken };
+  }
+}
+
+module.exports = new InvitationService();
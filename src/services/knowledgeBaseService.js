@@ -0,0 +1,244 @@
+const KnowledgeBase = require('../models/KnowledgeBase');
+const KnowledgeChunk = require('../models/KnowledgeChunk');
+const { knowledgeQueue } = require('../config/queue');
+const { getEmbeddingProvider } = require('../integrations/llm');
+
+const CHUNK_SIZE = 1000; // characters
+const CHUNK_OVERLAP = 150;
+const EMBEDDING_BATCH_SIZE = 64;
+const MIN_SIMILARITY = 0.25; // below this a chunk is unlikely to be relevant
+const MAX_SEMANTIC_CANDIDATES = 2000; // chunks compared per search
+
+class KnowledgeBaseService {
+  /**
+   * Queue an entry for chunking and embedding
+   */
+  async queueIndexing(entry) {
+    await KnowledgeBase.updateOne({ _id: entry._id }, { 'indexing.status': 'pending' });
+    return knowledgeQueue.add(
+      { knowledgeBaseId: entry._id.toString() },
+      { jobId: `index:${entry._id}:${Date.now()}` }
+    );
+  }
+
+  /**
+   * Split text into overlapping chunks, preferring paragraph and sentence boundaries
+   */
+  chunkText(text) {
+    const normalized = (text || '').replace(/\r\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+
+    if (normalized.length <= CHUNK_SIZE) {
+      return normalized ? [normalized] : [];
+    }
+
+    // Break into pieces no longer than CHUNK_SIZE
+    const pieces = [];
+    normalized.split(/\n\s*\n/).forEach(paragraph => {
+      if (paragraph.length <= CHUNK_SIZE) {
+        pieces.push(paragraph);
+        return;
+      }
+
+      const sentences = paragraph.match(/[^.!?]+[.!?]+\s*|[^.!?]+$/g) || [paragraph];
+      sentences.forEach(sentence => {
+        for (let i = 0; i < sentence.length; i += CHUNK_SIZE) {
+          pieces.push(sentence.slice(i, i + CHUNK_SIZE));
+        }
+      });
+    });
+
+    // Pack pieces into chunks, carrying the tail of each chunk into the next
+    const chunks = [];
+    let current = '';
+
+    pieces.forEach(piece => {
+      if (current && current.length + piece.length + 1 > CHUNK_SIZE) {
+        chunks.push(current.trim());
+        current = current.slice(-CHUNK_OVERLAP);
+      }
+      current = current ? `${current}\n${piece}` : piece;
+    });
+
+    if (current.trim()) {
+      chunks.push(current.trim());
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Rebuild an entry's chunks, with embeddings when a provider is configured
+   */
+  async indexEntry(entry) {
+    const texts = this.chunkText(entry.content);
+    const provider = getEmbeddingProvider();
+
+    let embeddings = [];
+    if (provider && texts.length > 0) {
+      for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+        const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
+        // Include the title so short chunks keep their context
+        embeddings.push(...await provider.embed(batch.map(text => `${entry.title}\n${text}`)));
+      }
+    }
+
+    const embeddingModel = provider ? provider.getEmbeddingId() : null;
+
+    await KnowledgeChunk.deleteMany({ knowledgeBase: entry._id });
+    await KnowledgeChunk.insertMany(texts.map((content, index) => ({
+      organization: entry.organization,
+      knowledgeBase: entry._id,
+      index,
+      title: entry.title,
+      content,
+      embedding: embeddings[index],
+      embeddingModel,
+      isActive: entry.isRetrievable()
+    })));
+
+    entry.indexing = {
+      status: 'indexed',
+      chunkCount: texts.length,
+      embeddingModel,
+      indexedAt: new Date(),
+      error: undefined
+    };
+    await entry.save();
+
+    return texts.length;
+  }
+
+  /**
+   * Keep chunk visibility in line with the entry without re-embedding
+   */
+  async syncChunkStatus(entry) {
+    await KnowledgeChunk.updateMany(
+      { knowledgeBase: entry._id },
+      { isActive: entry.isRetrievable() }
+    );
+  }
+
+  /**
+   * Delete an entry's chunks
+   */
+  async removeEntry(entryId) {
+    await KnowledgeChunk.deleteMany({ knowledgeBase: entryId });
+  }
+
+  /**
+   * Find the chunks most relevant to an interaction, semantically when
+   * embeddings are available and by text search otherwise
+   */
+  async retrieveForInteraction(interaction, limit = 5) {
+    const organizationId = interaction.organization._id || interaction.organization;
+    const query = interaction.content || '';
+
+    if (!query.trim()) {
+      return [];
+    }
+
+    let chunks = null;
+
+    try {
+      chunks = await this.semanticSearch(organizationId, query, limit);
+    } catch (error) {
+      console.error('Semantic knowledge base search error:', error.message);
+    }
+
+    if (!chunks) {
+      chunks = await this.keywordSearch(organizationId, query, limit);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Top-k chunks by cosine similarity. Returns null when semantic search isn't possible.
+   * Large knowledge bases are narrowed to the best text matches first, and
+   * chunks are streamed so only the current top-k are kept in memory.
+   */
+  async semanticSearch(organizationId, query, limit) {
+    const provider = getEmbeddingProvider();
+    if (!provider) {
+      return null;
+    }
+
+    const embeddingModel = provider.getEmbeddingId();
+    const filter = { organization: organizationId, isActive: true, embeddingModel };
+
+    const total = await KnowledgeChunk.countDocuments(filter);
+    if (total === 0) {
+      return null;
+    }
+
+    const [queryEmbedding] = await provider.embed([query]);
+
+    let candidates = KnowledgeChunk.find(filter);
+    if (total > MAX_SEMANTIC_CANDIDATES) {
+      candidates = KnowledgeChunk.find({ ...filter, $text: { $search: query } })
+        .sort({ score: { $meta: 'textScore' } });
+    }
+
+    const top = [];
+    const cursor = candidates
+      .select('+embedding')
+      .limit(MAX_SEMANTIC_CANDIDATES)
+      .lean()
+      .cursor();
+
+    for await (const { embedding, ...chunk } of cursor) {
+      const score = this.cosineSimilarity(queryEmbedding, embedding);
+
+      if (score >= MIN_SIMILARITY && (top.length < limit || score > top[top.length - 1].score)) {
+        top.push({ ...chunk, score });
+        top.sort((a, b) => b.score - a.score);
+        top.length = Math.min(top.length, limit);
+      }
+    }
+
+    return top;
+  }
+
+  /**
+   * Top-k chunks by MongoDB text score
+   */
+  async keywordSearch(organizationId, query, limit) {
+    return KnowledgeChunk.find(
+      { organization: organizationId, isActive: true, $text: { $search: query } },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .lean();
+  }
+
+  cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) {
+      return 0;
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+  }
+
+  /**
+   * Record usage on the entries the chunks came from
+   */
+  async recordUsage(chunks) {
+    const entryIds = [...new Set(chunks.map(chunk => chunk.knowledgeBase.toString()))];
+    const entries = await KnowledgeBase.find({ _id: { $in: entryIds } });
+
+    await Promise.all(entries.map(entry => entry.incrementUsage()));
+  }
+}
+
+module.exports = new KnowledgeBaseService();
@@ -0,0 +1,81 @@
+const Label = require('../models/Label');
+const Interaction = require('../models/Interaction');
+
+class LabelService {
+  /**
+   * Get labels with at least one active auto-apply rule
+   */
+  async getAutoApplyLabels(organizationId) {
+    return Label.find({
+      organization: organizationId,
+      autoApplyRules: { $elemMatch: { isActive: true } }
+    });
+  }
+
+  /**
+   * Tag an interaction with every matching auto-apply label
+   */
+  async applyAutoLabels(interaction) {
+    try {
+      const labels = await this.getAutoApplyLabels(interaction.organization);
+
+      const matched = labels.filter(label =>
+        !interaction.labels.some(id => id.toString() === label._id.toString()) &&
+        label.appliesToInteraction(interaction)
+      );
+
+      if (matched.length === 0) {
+        return [];
+      }
+
+      const labelIds = matched.map(label => label._id);
+
+      await Interaction.updateOne(
+        { _id: interaction._id },
+        { $addToSet: { labels: { $each: labelIds } } }
+      );
+      await Label.updateMany(
+        { _id: { $in: labelIds } },
+        { $inc: { usageCount: 1 } }
+      );
+
+      // Keep the in-memory document in sync without marking it modified
+      interaction.labels.push(...labelIds);
+      interaction.unmarkModified('labels');
+
+      return matched;
+    } catch (error) {
+      console.error('Auto-label error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Show which recent interactions a rule set would match, without saving anything
+   */
+  async previewRules(organizationId, autoApplyRules, limit = 100) {
+    const label = new Label({ organization: organizationId, autoApplyRules });
+
+    const interactions = await Interaction.find({ organization: organizationId })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    const matches = interactions.filter(interaction => label.appliesToInteraction(interaction));
+
+    return {
+      tested: interactions.length,
+      matched: matches.length,
+      interactions: matches.map(interaction => ({
+        _id: interaction._id,
+        platform: interaction.platform,
+        type: interaction.type,
+        content: interaction.content,
+        author: interaction.author,
+        sentiment: interaction.sentiment,
+        createdAt: interaction.createdAt
+      }))
+    };
+  }
+}
+
+module.exports = new LabelService();
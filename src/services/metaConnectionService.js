@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const PlatformConnection = require('../models/PlatformConnection');
+const metaAuthService = require('../integrations/meta/metaAuthService');
+const cacheService = require('./cacheService');
+const syncScheduler = require('./syncScheduler');
+const usageService = require('./usageService');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+const STATE_TTL = 10 * 60; // seconds to complete Facebook Login
+const SELECTION_TTL = 30 * 60; // seconds to pick pages afterwards
+
+const META_PLATFORMS = ['facebook', 'instagram'];
+
+class MetaConnectionService {
+  /**
+   * Error with an HTTP status for the controller
+   */
+  httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Start Facebook Login for a user. The state is a one-time nonce kept in
+   * Redis, so the public callback can trust the organization it maps to.
+   */
+  async createState(user) {
+    const state = crypto.randomBytes(32).toString('hex');
+
+    await cacheService.set(cacheService.metaOAuthStateKey(state), {
+      organizationId: user.organization._id.toString(),
+      userId: user._id.toString()
+    }, STATE_TTL);
+
+    return state;
+  }
+
+  /**
+   * Look up and invalidate an OAuth state
+   */
+  async consumeState(state) {
+    const key = cacheService.metaOAuthStateKey(state);
+    const data = await cacheService.get(key);
+    await cacheService.del(key);
+    return data;
+  }
+
+  /**
+   * Exchange the code and keep the long-lived user token (encrypted) until
+   * the user has picked which pages and Instagram accounts to connect
+   */
+  async createSelection(stateData, code) {
+    const token = await metaAuthService.exchangeCodeForToken(code);
+    const userInfo = await metaAuthService.getUserInfo(token.accessToken);
+    const selectionId = crypto.randomBytes(24).toString('hex');
+
+    await cacheService.set(cacheService.metaOAuthSelectionKey(selectionId), {
+      ...stateData,
+      facebookUser: userInfo,
+      userAccessToken: encrypt(token.accessToken)
+    }, SELECTION_TTL);
+
+    return selectionId;
+  }
+
+  /**
+   * Get a pending selection, only for the organization that started it
+   */
+  async getSelection(selectionId, organizationId) {
+    const selection = await cacheService.get(cacheService.metaOAuthSelectionKey(selectionId));
+
+    if (!selection || selection.organizationId !== organizationId.toString()) {
+      throw this.httpError('Facebook login has expired. Please connect again.', 404);
+    }
+
+    return { ...selection, userAccessToken: decrypt(selection.userAccessToken) };
+  }
+
+  /**
+   * Pages and linked Instagram accounts available to connect (without tokens),
+   * flagging the ones the organization already has connected
+   */
+  async listAccounts(selection) {
+    const pages = await metaAuthService.getPages(selection.userAccessToken);
+
+    const connected = await PlatformConnection.find({
+      organization: selection.organizationId,
+      platform: { $in: META_PLATFORMS },
+      isActive: true
+    }).select('platform platformUserId');
+    const isConnected = (platform, id) => connected.some(connection =>
+      connection.platform === platform && connection.platformUserId === id
+    );
+
+    return pages.map(({ accessToken, ...page }) => ({
+      ...page,
+      connected: {
+        facebook: isConnected('facebook', page.pageId),
+        instagram: Boolean(page.instagram) && isConnected('instagram', page.instagram.businessAccountId)
+      }
+    }));
+  }
+
+  /**
+   * Connect the chosen pages (platform "facebook") and Instagram accounts
+   * (platform "instagram"). Returns a result per requested account.
+   */
+  async connect(selection, accounts) {
+    const pages = await metaAuthService.getPages(selection.userAccessToken);
+    const results = [];
+    const touchedPages = new Set();
+
+    for (const { pageId, platform } of accounts) {
+      try {
+        const page = pages.find(item => item.pageId === pageId);
+
+        if (!page) {
+          throw this.httpError('Page not found or not managed by this Facebook user', 404);
+        }
+        if (platform === 'instagram' && !page.instagram) {
+          throw this.httpError('No Instagram Business account is linked to this page', 400);
+        }
+
+        const connection = await this.upsertConnection(selection, page, platform);
+        touchedPages.add(pageId);
+
+        results.push({ platform, pageId, connectionId: connection._id, status: 'connected' });
+      } catch (error) {
+        results.push({ platform, pageId, status: 'failed', error: error.message, code: error.code });
+      }
+    }
+
+    for (const pageId of touchedPages) {
+      try {
+        await this.syncPageSubscription(pageId);
+      } catch (error) {
+        console.error(`Webhook subscription error for page ${pageId}:`, error.message);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Create or reactivate the connection for a page or its Instagram account,
+   * storing the page access token
+   */
+  async upsertConnection(selection, page, platform) {
+    const instagram = platform === 'instagram';
+    const platformUserId = instagram ? page.instagram.businessAccountId : page.pageId;
+
+    let connection = await PlatformConnection.findOne({
+      organization: selection.organizationId,
+      platform,
+      platformUserId
+    });
+
+    // New or previously disconnected connections take a plan slot
+    const takesSlot = !connection || !connection.isActive;
+    if (takesSlot) {
+      await usageService.reserve(selection.organizationId, 'platforms');
+    }
+
+    if (!connection) {
+      connection = new PlatformConnection({
+        organization: selection.organizationId,
+        platform,
+        platformUserId,
+        createdBy: selection.userId
+      });
+    }
+
+    connection.platformUsername = instagram ? page.instagram.username : page.name;
+    connection.platformDisplayName = instagram ? (page.instagram.name || page.instagram.username) : page.name;
+    connection.platformProfilePicture = instagram ? page.instagram.picture : page.picture;
+    connection.platformEmail = selection.facebookUser?.platformEmail;
+    connection.accessToken = page.accessToken;
+    connection.refreshToken = undefined;
+    connection.tokenExpiry = undefined; // Page tokens from a long-lived user token don't expire
+    connection.platformData = {
+      pageId: page.pageId,
+      pageName: page.name,
+      ...(instagram && { businessAccountId: page.instagram.businessAccountId })
+    };
+    connection.status = 'connected';
+    connection.isActive = true;
+    connection.lastError = undefined;
+
+    try {
+      await connection.save();
+    } catch (error) {
+      if (takesSlot) {
+        await usageService.release(selection.organizationId, 'platforms');
+      }
+      throw error;
+    }
+
+    await syncScheduler.schedule(connection);
+
+    return connection;
+  }
+
+  /**
+   * Subscribe a page to the webhook fields its active connections need, or
+   * unsubscribe it when none are left. The subscription belongs to the page,
+   * so connections from every organization count.
+   */
+  async syncPageSubscription(pageId) {
+    const connections = await PlatformConnection.find({
+      platform: { $in: META_PLATFORMS },
+      'platformData.pageId': pageId
+    }).sort({ updatedAt: -1 });
+
+    const active = connections.filter(connection =>
+      connection.isActive && connection.settings?.enableWebhooks !== false
+    );
+
+    if (active.length > 0) {
+      await metaAuthService.subscribePage(
+        pageId,
+        active[0].accessToken,
+        active.map(connection => connection.platform)
+      );
+    } else if (connections.length > 0) {
+      await metaAuthService.unsubscribePage(pageId, connections[0].accessToken);
+    }
+  }
+}
+
+module.exports = new MetaConnectionService();
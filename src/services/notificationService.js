@@ -0,0 +1,183 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { notificationQueue } = require('../config/queue');
+const realtimeService = require('./realtimeService');
+
+// Emailed as soon as they happen, whatever the user's email frequency
+const URGENT_TYPES = ['negative_spike', 'escalation', 'platform_error'];
+
+const NOTIFICATION_TTL_DAYS = 90;
+
+class NotificationService {
+  /**
+   * Delivery methods for a notification under the user's preferences.
+   * In-app is always on; email needs notifications enabled and either an
+   * urgent type or the "instant" email frequency. Daily and weekly users get
+   * the rest in their digest.
+   */
+  getDeliveryMethods(user, type) {
+    const methods = ['in_app'];
+    const preferences = user.preferences || {};
+
+    if (preferences.notifications !== false &&
+        (URGENT_TYPES.includes(type) || preferences.emailFrequency === 'instant')) {
+      methods.push('email');
+    }
+
+    return methods;
+  }
+
+  /**
+   * Create a notification for a user, push it to their open sockets and
+   * queue the email when their preferences call for one
+   */
+  async notify(user, { type, title, message, relatedTo, actionUrl, data }) {
+    if (!user || !user.isActive) {
+      return null;
+    }
+
+    const deliveryMethod = this.getDeliveryMethods(user, type);
+
+    const notification = await Notification.create({
+      user: user._id,
+      organization: user.organization?._id || user.organization,
+      type,
+      title,
+      message,
+      relatedTo,
+      actionUrl,
+      data,
+      deliveryMethod,
+      expiresAt: new Date(Date.now() + NOTIFICATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    realtimeService.toUser(user._id, 'notification:new', notification);
+
+    if (deliveryMethod.includes('email')) {
+      await notificationQueue.add(
+        { notificationId: notification._id.toString() },
+        { jobId: `notification:${notification._id}` }
+      );
+    }
+
+    return notification;
+  }
+
+  /**
+   * Notify every active member of an organization with one of the given roles
+   */
+  async notifyRoles(organizationId, roles, payload) {
+    const users = await User.find({
+      organization: organizationId,
+      role: { $in: roles },
+      isActive: true
+    });
+
+    return Promise.all(users.map(user => this.notify(user, payload)));
+  }
+
+  /**
+   * Tell an agent an interaction was assigned to them. Self-assignments are skipped.
+   */
+  async notifyAssignment(interaction, assignedBy = null) {
+    const assigneeId = interaction.assignedTo?._id || interaction.assignedTo;
+
+    if (!assigneeId || (assignedBy && assignedBy.toString() === assigneeId.toString())) {
+      return null;
+    }
+
+    const assignee = await User.findById(assigneeId);
+    const escalated = interaction.assignmentReason === 'escalation';
+
+    return this.notify(assignee, {
+      type: escalated ? 'escalation' : 'assignment',
+      title: escalated
+        ? `${this.describe(interaction)} escalated to you`
+        : `New ${interaction.type} assigned to you`,
+      message: this.excerpt(interaction.content),
+      relatedTo: { model: 'Interaction', id: interaction._id },
+      actionUrl: `/inbox/${interaction._id}`
+    });
+  }
+
+  /**
+   * Alert managers and admins to an urgent interaction
+   */
+  async notifyEscalation(interaction) {
+    return this.notifyRoles(interaction.organization._id || interaction.organization, ['admin', 'manager'], {
+      type: 'escalation',
+      title: `Urgent ${this.describe(interaction)} needs attention`,
+      message: this.excerpt(interaction.content),
+      relatedTo: { model: 'Interaction', id: interaction._id },
+      actionUrl: `/inbox/${interaction._id}`
+    });
+  }
+
+  /**
+   * Alert managers and admins to a negative comment spike on a post,
+   * at most once a day per post
+   */
+  async notifyNegativeSpike(organizationId, postId, count) {
+    const alreadyAlerted = await Notification.exists({
+      organization: organizationId,
+      type: 'negative_spike',
+      'data.postId': postId,
+      createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+    });
+
+    if (alreadyAlerted) {
+      return [];
+    }
+
+    return this.notifyRoles(organizationId, ['admin', 'manager'], {
+      type: 'negative_spike',
+      title: `${count} negative comments on one post`,
+      message: `${count} negative comments were received on the same post in the last 24 hours.`,
+      actionUrl: `/inbox?postId=${encodeURIComponent(postId)}`,
+      data: { postId, count }
+    });
+  }
+
+  /**
+   * Alert admins that a platform connection stopped syncing
+   */
+  async notifyPlatformError(connection, error) {
+    return this.notifyRoles(connection.organization, ['admin'], {
+      type: 'platform_error',
+      title: `${connection.platformUsername || connection.platform} sync failed`,
+      message: error.message,
+      relatedTo: { model: 'PlatformConnection', id: connection._id },
+      actionUrl: '/app/settings',
+      data: { platform: connection.platform }
+    });
+  }
+
+  /**
+   * Unread notifications of a user
+   */
+  async getUnreadCount(userId) {
+    return Notification.countDocuments({ user: userId, isRead: false });
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   */
+  async markAllAsRead(userId) {
+    const result = await Notification.updateMany(
+      { user: userId, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    return result.modifiedCount;
+  }
+
+  describe(interaction) {
+    return `${interaction.platform} ${interaction.type}`;
+  }
+
+  excerpt(content = '', length = 140) {
+    return content.length > length ? `${content.slice(0, length - 1)}…` : content || '(no text)';
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,210 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const PlatformConnection = require('../models/PlatformConnection');
+const sessionService = require('./sessionService');
+const syncScheduler = require('./syncScheduler');
+const usageService = require('./usageService');
+const realtimeService = require('./realtimeService');
+
+// Profile and branding fields admins may change
+const PROFILE_FIELDS = ['name', 'logo', 'website', 'industry', 'size', 'timezone'];
+
+class OrganizationService {
+  /**
+   * Error with an HTTP status for the controller
+   */
+  httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Update profile and white label settings. whiteLabel is merged so a
+   * partial update keeps the other fields.
+   */
+  async updateProfile(organizationId, data) {
+    const organization = await Organization.findById(organizationId);
+
+    if (!organization) {
+      throw this.httpError('Organization not found', 404);
+    }
+
+    PROFILE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        organization[field] = data[field];
+      }
+    });
+
+    if (data.sla) {
+      Object.entries(data.sla).forEach(([key, value]) => {
+        organization.sla[key] = value;
+      });
+    }
+
+    if (data.whiteLabel) {
+      Object.entries(data.whiteLabel).forEach(([key, value]) => {
+        organization.whiteLabel[key] = value;
+      });
+    }
+
+    await organization.save();
+
+    return organization;
+  }
+
+  /**
+   * Make another active member the owner. The new owner is promoted to admin.
+   */
+  async transferOwnership(organization, currentUser, newOwnerId) {
+    // Organizations created before owners were tracked can be claimed by any admin
+    if (organization.owner && !organization.owner.equals(currentUser._id)) {
+      throw this.httpError('Only the owner can transfer ownership', 403);
+    }
+
+    if (currentUser._id.equals(newOwnerId)) {
+      throw this.httpError('You already own this organization', 400);
+    }
+
+    const newOwner = await User.findOne({
+      _id: newOwnerId,
+      organization: organization._id,
+      isActive: true
+    });
+
+    if (!newOwner) {
+      throw this.httpError('New owner must be an active member of the organization', 404);
+    }
+
+    if (newOwner.role !== 'admin') {
+      newOwner.role = 'admin';
+      await newOwner.save();
+    }
+
+    const updated = await Organization.findByIdAndUpdate(
+      organization._id,
+      { owner: newOwner._id },
+      { new: true }
+    );
+
+    return { organization: updated, owner: newOwner };
+  }
+
+  /**
+   * Deactivate an organization: stop syncing and sign every member out.
+   * Members can't log in again until it is reactivated by support.
+   */
+  async deactivate(organization, currentUser) {
+    if (organization.owner && !organization.owner.equals(currentUser._id)) {
+      throw this.httpError('Only the owner can deactivate the organization', 403);
+    }
+
+    const updated = await Organization.findByIdAndUpdate(
+      organization._id,
+      { isActive: false },
+      { new: true }
+    );
+
+    const connections = await PlatformConnection.find({ organization: organization._id, isActive: true });
+    await Promise.all(connections.map(connection => syncScheduler.unschedule(connection)));
+
+    const members = await User.find({ organization: organization._id }).select('_id');
+    await Promise.all(members.map(member => sessionService.revokeAll(member._id)));
+    members.forEach(member => realtimeService.disconnectUser(member._id));
+
+    return updated;
+  }
+
+  /**
+   * Change a member's role and/or active state. The owner and the last
+   * active admin can't be demoted or deactivated.
+   */
+  async updateMember(organization, memberId, data) {
+    const member = await User.findOne({ _id: memberId, organization: organization._id });
+
+    if (!member) {
+      throw this.httpError('Member not found', 404);
+    }
+
+    const demoting = data.role !== undefined && data.role !== 'admin' && member.role === 'admin';
+    const deactivating = data.isActive === false && member.isActive;
+    const reactivating = data.isActive === true && !member.isActive;
+
+    if ((demoting || deactivating) && organization.owner?.equals(member._id)) {
+      throw this.httpError('Transfer ownership before changing the owner\'s role or access', 400);
+    }
+
+    const changes = {};
+    if (data.role !== undefined) {
+      changes.role = data.role;
+    }
+    if (data.isActive !== undefined) {
+      changes.isActive = data.isActive;
+    }
+
+    let updated;
+
+    if ((demoting || deactivating) && member.role === 'admin' && member.isActive) {
+      updated = await this.removeAdmin(organization, member, changes);
+    } else {
+      // Reactivated members take a seat again
+      if (reactivating) {
+        await usageService.reserve(organization._id, 'users');
+      }
+
+      Object.assign(member, changes);
+
+      try {
+        updated = await member.save();
+      } catch (error) {
+        if (reactivating) {
+          await usageService.release(organization._id, 'users');
+        }
+        throw error;
+      }
+    }
+
+    if (deactivating) {
+      await usageService.release(organization._id, 'users');
+      await sessionService.revokeAll(member._id);
+      realtimeService.disconnectUser(member._id);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Demote or deactivate an active admin, unless they are the last one.
+   * The change is written first and undone if no other active admin is left,
+   * so concurrent changes to the last admins can't both succeed.
+   */
+  async removeAdmin(organization, member, changes) {
+    const updated = await User.findOneAndUpdate(
+      { _id: member._id, role: 'admin', isActive: true },
+      { $set: changes },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw this.httpError('Member was changed by someone else, please try again', 409);
+    }
+
+    const remainingAdmins = await User.countDocuments({
+      organization: organization._id,
+      role: 'admin',
+      isActive: true
+    });
+
+    if (remainingAdmins === 0) {
+      await User.updateOne({ _id: member._id }, { $set: { role: 'admin', isActive: true } });
+      throw this.httpError('The organization must keep at least one active admin', 400);
+    }
+
+    // Sockets were authorized while the member was an admin; reconnecting re-checks access
+    realtimeService.disconnectUser(member._id);
+
+    return updated;
+  }
+}
+
+module.exports = new OrganizationService();
@@ -0,0 +1,161 @@
+const { Emitter } = require('@socket.io/redis-emitter');
+const { getRedisClient } = require('../config/redis');
+
+class RealtimeService {
+  constructor() {
+    this.io = null;
+    this.emitter = null;
+  }
+
+  /**
+   * Use the API server's Socket.IO instance. Processes without one (workers)
+   * publish through Redis to the adapter instead.
+   */
+  setServer(io) {
+    this.io = io;
+  }
+
+  getEmitter() {
+    if (this.io) {
+      return this.io;
+    }
+    if (!this.emitter) {
+      this.emitter = new Emitter(getRedisClient());
+    }
+    return this.emitter;
+  }
+
+  organizationRoom(organizationId) {
+    return `org:${organizationId}`;
+  }
+
+  userRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  sessionRoom(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  /**
+   * Emit to a room. Realtime updates are best-effort and never fail the caller.
+   */
+  emit(room, event, payload) {
+    try {
+      this.getEmitter().to(room).emit(event, payload);
+    } catch (error) {
+      console.error(`Realtime emit error (${event}):`, error.message);
+    }
+  }
+
+  toOrganization(organizationId, event, payload) {
+    this.emit(this.organizationRoom(organizationId?._id || organizationId), event, payload);
+  }
+
+  toUser(userId, event, payload) {
+    this.emit(this.userRoom(userId?._id || userId), event, payload);
+  }
+
+  /**
+   * Disconnect a user's open sockets, e.g. after deactivation
+   */
+  disconnectUser(userId) {
+    try {
+      this.getEmitter().in(this.userRoom(userId)).disconnectSockets(true);
+    } catch (error) {
+      console.error('Realtime disconnect error:', error.message);
+    }
+  }
+
+  /**
+   * Disconnect the sockets opened with a session's tokens, e.g. after it is revoked
+   */
+  disconnectSession(sessionId) {
+    try {
+      this.getEmitter().in(this.sessionRoom(sessionId)).disconnectSockets(true);
+    } catch (error) {
+      console.error('Realtime disconnect error:', error.message);
+    }
+  }
+
+  /**
+   * A new interaction arrived
+   */
+  interactionCreated(interaction) {
+    this.toOrganization(interaction.organization, 'interaction:new', this.summarize(interaction));
+  }
+
+  /**
+   * Status or assignment changed. A new assignee is also told directly.
+   */
+  interactionUpdated(interaction, { assigned = false } = {}) {
+    const payload = this.summarize(interaction);
+
+    this.toOrganization(interaction.organization, 'interaction:updated', payload);
+
+    if (assigned && interaction.assignedTo) {
+      this.toUser(interaction.assignedTo, 'interaction:assigned', payload);
+    }
+  }
+
+  /**
+   * A reply was added or its delivery status changed
+   */
+  replyUpdated(interaction, reply) {
+    this.toOrganization(interaction.organization, 'interaction:reply', {
+      interactionId: interaction._id,
+      status: interaction.status,
+      reply
+    });
+  }
+
+  /**
+   * A note was added. Private notes only go to their author.
+   */
+  noteAdded(interaction, note) {
+    const payload = { interactionId: interaction._id, note };
+
+    if (note.isPrivate) {
+      this.toUser(note.addedBy, 'interaction:note', payload);
+    } else {
+      this.toOrganization(interaction.organization, 'interaction:note', payload);
+    }
+  }
+
+  /**
+   * AI analysis and suggestion finished
+   */
+  analysisCompleted(interaction) {
+    this.toOrganization(interaction.organization, 'interaction:analyzed', {
+      ...this.summarize(interaction),
+      sentimentScore: interaction.sentimentScore,
+      intent: interaction.intent,
+      topics: interaction.topics,
+      urgency: interaction.urgency,
+      aiSuggestion: interaction.aiSuggestion,
+      autoReplyEligible: interaction.autoReplyEligible
+    });
+  }
+
+  /**
+   * Fields the inbox list needs to update a row without refetching
+   */
+  summarize(interaction) {
+    return {
+      interactionId: interaction._id,
+      platform: interaction.platform,
+      type: interaction.type,
+      content: interaction.content,
+      author: interaction.author,
+      status: interaction.status,
+      priority: interaction.priority,
+      sentiment: interaction.sentiment,
+      assignedTo: interaction.assignedTo,
+      labels: interaction.labels,
+      platformCreatedAt: interaction.platformCreatedAt,
+      updatedAt: interaction.updatedAt
+    };
+  }
+}
+
+module.exports = new RealtimeService();
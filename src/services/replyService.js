@@ -0,0 +1,151 @@
+const Interaction = require('../models/Interaction');
+const PlatformConnection = require('../models/PlatformConnection');
+const { hasAdapter, getAdapter } = require('../integrations/platforms');
+
+class ReplyService {
+  /**
+   * Error with an HTTP status for the controller
+   */
+  httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Check if replies can be sent to a platform
+   */
+  supports(platform) {
+    return hasAdapter(platform) && getAdapter(platform).supports('reply');
+  }
+
+  /**
+   * Get the platform connection an interaction came from
+   */
+  async getConnection(interaction) {
+    const query = interaction.platformConnection
+      ? { _id: interaction.platformConnection }
+      : { organization: interaction.organization, platform: interaction.platform };
+
+    const connection = await PlatformConnection.findOne({ ...query, isActive: true });
+
+    if (!connection) {
+      throw new Error(`No active ${interaction.platform} connection for this interaction`);
+    }
+
+    return connection;
+  }
+
+  /**
+   * When the customer last wrote in the interaction's conversation.
+   * Messaging windows run from this time.
+   */
+  async getLastMessageAt(interaction) {
+    const latest = interaction.threadId && await Interaction.findOne({
+      organization: interaction.organization,
+      platform: interaction.platform,
+      type: 'dm',
+      threadId: interaction.threadId
+    }).sort({ platformCreatedAt: -1 });
+
+    return (latest || interaction).platformCreatedAt;
+  }
+
+  /**
+   * Check if a reply needs an approved template because the platform's
+   * messaging window has closed
+   */
+  async requiresTemplate(interaction) {
+    if (!hasAdapter(interaction.platform)) {
+      return false;
+    }
+
+    const adapter = getAdapter(interaction.platform);
+
+    return adapter.supports('templates') &&
+      !adapter.isWithinMessagingWindow(await this.getLastMessageAt(interaction));
+  }
+
+  /**
+   * Send reply text to the platform the interaction came from, or the
+   * approved template in options.template (WhatsApp).
+   * Returns the platform's id for the sent reply.
+   */
+  async send(interaction, content, options = {}) {
+    if (!this.supports(interaction.platform)) {
+      throw new Error(`Sending replies to ${interaction.platform} is not supported yet`);
+    }
+
+    const adapter = getAdapter(interaction.platform);
+    const connection = await this.getConnection(interaction);
+
+    await adapter.refreshToken(connection);
+
+    const lastMessageAt = adapter.supports('messagingWindowHours')
+      ? await this.getLastMessageAt(interaction)
+      : undefined;
+
+    return adapter.reply(connection, interaction, content, { ...options, lastMessageAt });
+  }
+
+  /**
+   * Hide or unhide a comment on the platform
+   */
+  async hide(interaction, hidden) {
+    const adapter = getAdapter(interaction.platform);
+
+    if (!adapter.supports('hide')) {
+      throw adapter.unsupported('Hiding comments');
+    }
+
+    const connection = await this.getConnection(interaction);
+
+    await adapter.refreshToken(connection);
+    await adapter.hide(connection, interaction, hidden);
+
+    interaction.isHidden = hidden;
+    await interaction.save();
+
+    return interaction;
+  }
+
+  /**
+   * Delete a sent reply from the platform
+   */
+  async deleteReply(interaction, reply) {
+    const adapter = getAdapter(interaction.platform);
+
+    if (!adapter.supports('deleteReply')) {
+      throw adapter.unsupported('Deleting replies');
+    }
+
+    if (reply.status !== 'sent' || !reply.platformResponseId) {
+      throw this.httpError('Only sent replies can be deleted', 400);
+    }
+
+    const connection = await this.getConnection(interaction);
+
+    await adapter.refreshToken(connection);
+    await adapter.deleteReply(connection, interaction, reply);
+
+    reply.status = 'deleted';
+    await interaction.save();
+
+    return reply;
+  }
+
+  /**
+   * Check if a send error is final (the platform rejected the reply)
+   * rather than temporary (rate limits, timeouts, platform outages)
+   */
+  isPermanentError(error) {
+    if (error.permanent) {
+      return true;
+    }
+
+    const status = error.response?.status;
+    return Boolean(status) && status >= 400 && status < 500 && status !== 429;
+  }
+}
+
+module.exports = new ReplyService();
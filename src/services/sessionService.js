@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const cacheService = require('./cacheService');
+const realtimeService = require('./realtimeService');
+const { generateToken } = require('../middlewares/auth');
+const { durationToSeconds } = require('../utils/dates');
+
+// Rotated-out hashes kept per session for reuse detection
+const MAX_PREVIOUS_HASHES = 50;
+
+class SessionService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  refreshLifetimeMs() {
+    return durationToSeconds(process.env.JWT_REFRESH_EXPIRE || '30d') * 1000;
+  }
+
+  /**
+   * Short description of a user agent, e.g. "Firefox on macOS"
+   */
+  describeDevice(userAgent = '') {
+    const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']];
+    const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+    const browser = browsers.find(([token]) => userAgent.includes(token));
+    const system = systems.find(([token]) => userAgent.includes(token));
+
+    if (!browser && !system) {
+      return 'Unknown device';
+    }
+
+    return [browser?.[1] || 'Unknown browser', system?.[1]].filter(Boolean).join(' on ');
+  }
+
+  /**
+   * Start a session for a user and issue its first token pair
+   */
+  async createSession(user, meta = {}) {
+    const refreshToken = this.generateRefreshToken();
+
+    const session = await Session.create({
+      user: user._id,
+      organization: user.organization?._id || user.organization,
+      tokenHash: this.hashToken(refreshToken),
+      userAgent: meta.userAgent,
+      device: this.describeDevice(meta.userAgent),
+      ipAddress: meta.ipAddress,
+      expiresAt: new Date(Date.now() + this.refreshLifetimeMs())
+    });
+
+    return {
+      session,
+      token: generateToken(user._id, session._id),
+      refreshToken
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, rotating the refresh token.
+   * A rotated-out token being presented again revokes the whole session.
+   */
+  async refresh(refreshToken, meta = {}) {
+    const tokenHash = this.hashToken(refreshToken);
+    const newRefreshToken = this.generateRefreshToken();
+    const now = new Date();
+
+    // Rotate in a single update, so of two concurrent refreshes with the
+    // same token only one succeeds and the other counts as reuse
+    const session = await Session.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          tokenHash: this.hashToken(newRefreshToken),
+          lastUsedAt: now,
+          expiresAt: new Date(now.getTime() + this.refreshLifetimeMs()),
+          ...(meta.ipAddress && { ipAddress: meta.ipAddress })
+        },
+        $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_HASHES } }
+      },
+      { new: true }
+    ).populate('user');
+
+    if (!session) {
+      if (await Session.exists({ tokenHash })) {
+        throw new Error('Session has expired or been revoked');
+      }
+
+      const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+
+      if (reused && !reused.revokedAt) {
+        console.warn(`Refresh token reuse detected for session ${reused._id}, revoking`);
+        await this.revoke(reused, 'reuse_detected');
+      }
+
+      throw new Error('Invalid refresh token');
+    }
+
+    if (!session.user || !session.user.isActive) {
+      throw new Error('User account is deactivated');
+    }
+
+    return {
+      token: generateToken(session.user._id, session._id),
+      refreshToken: newRefreshToken
+    };
+  }
+
+  /**
+   * Revoke a session. Its access tokens are denied by `protect` until they expire,
+   * and sockets opened with them are disconnected.
+   */
+  async revoke(session, reason = 'revoked') {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    await cacheService.set(
+      cacheService.revokedSessionKey(session._id),
+      true,
+      durationToSeconds(process.env.JWT_EXPIRE || '15m')
+    );
+
+    realtimeService.disconnectSession(session._id);
+  }
+
+  /**
+   * Revoke every active session of a user, optionally keeping one
+   */
+  async revokeAll(userId, exceptSessionId = null, reason = 'revoked_all') {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const sessions = await Session.find(query).select('_id');
+    await Promise.all(sessions.map(session => this.revoke(session, reason)));
+
+    return sessions.length;
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  async listSessions(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * Check the Redis denylist for a revoked session
+   */
+  async isRevoked(sessionId) {
+    return cacheService.exists(cacheService.revokedSessionKey(sessionId));
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,121 @@
+const PlatformConnection = require('../models/PlatformConnection');
+const { syncQueue } = require('../config/queue');
+
+class SyncScheduler {
+  constructor() {
+    this.maxIntervalMinutes = 24 * 60; // Back off to at most once a day
+  }
+
+  /**
+   * Repeatable job id for a connection
+   */
+  jobId(connection) {
+    return `sync:${connection._id}`;
+  }
+
+  /**
+   * Sync interval in ms, doubled for every consecutive failed sync
+   */
+  getInterval(connection) {
+    const baseMinutes = connection.settings?.syncInterval || 5;
+    const failedAttempts = connection.stats?.failedSyncAttempts || 0;
+    const maxMinutes = Math.max(this.maxIntervalMinutes, baseMinutes);
+    return Math.min(baseMinutes * 2 ** failedAttempts, maxMinutes) * 60 * 1000;
+  }
+
+  /**
+   * Check if a connection should be synced automatically
+   */
+  shouldSchedule(connection) {
+    // Required here: the adapters load metaConnectionService, which loads this scheduler
+    const { hasAdapter, getAdapter } = require('../integrations/platforms');
+
+    // Platforms without a history API only receive messages by webhook
+    return connection.isActive &&
+      hasAdapter(connection.platform) &&
+      getAdapter(connection.platform).supports('sync') &&
+      connection.status !== 'disconnected' &&
+      connection.settings?.autoSync !== false &&
+      connection.getEnabledSyncTypes().length > 0;
+  }
+
+  /**
+   * Create, update or remove the repeatable sync job for a connection
+   */
+  async schedule(connection) {
+    try {
+      const jobId = this.jobId(connection);
+      const existing = (await syncQueue.getRepeatableJobs()).filter(job => job.id === jobId);
+
+      if (!this.shouldSchedule(connection)) {
+        await this.removeJobs(existing);
+        return null;
+      }
+
+      const every = this.getInterval(connection);
+
+      // Already scheduled at the right interval
+      if (existing.length === 1 && existing[0].every === every) {
+        return { jobId, every };
+      }
+
+      await this.removeJobs(existing);
+
+      await syncQueue.add(
+        { platformConnectionId: connection._id.toString(), scheduled: true },
+        {
+          jobId,
+          repeat: { every },
+          attempts: 1 // Failures are retried by the schedule, with backoff
+        }
+      );
+
+      console.log(`Scheduled ${connection.platform} sync for ${connection._id} every ${every / 60000} minutes`);
+
+      return { jobId, every };
+    } catch (error) {
+      console.error('Sync schedule error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove the repeatable sync job for a connection
+   */
+  async unschedule(connection) {
+    try {
+      const jobId = this.jobId(connection);
+      const existing = (await syncQueue.getRepeatableJobs()).filter(job => job.id === jobId);
+      await this.removeJobs(existing);
+      return true;
+    } catch (error) {
+      console.error('Sync unschedule error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Schedule every active connection and drop jobs for inactive ones
+   */
+  async scheduleAll() {
+    const connections = await PlatformConnection.find({ isActive: true });
+    const activeJobIds = new Set(connections.map(connection => this.jobId(connection)));
+
+    const repeatableJobs = await syncQueue.getRepeatableJobs();
+    await this.removeJobs(repeatableJobs.filter(job => !activeJobIds.has(job.id)));
+
+    for (const connection of connections) {
+      await this.schedule(connection);
+    }
+
+    return connections.length;
+  }
+
+  async removeJobs(jobs) {
+    for (const job of jobs) {
+      await syncQueue.removeRepeatableByKey(job.key);
+    }
+  }
+}
+
+module.exports = new SyncScheduler();
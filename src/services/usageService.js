@@ -0,0 +1,190 @@
+const Organization = require('../models/Organization');
+
+// Usage counter and plan limit for each metered resource
+const METERS = {
+  users: { usage: 'currentUsers', limit: 'maxUsers', label: 'team members' },
+  platforms: { usage: 'currentPlatformConnections', limit: 'maxPlatformConnections', label: 'platform connections' },
+  interactions: { usage: 'interactionsThisMonth', limit: 'maxInteractionsPerMonth', label: 'interactions this month' },
+  ai: { usage: 'aiCreditsUsedThisMonth', limit: 'maxAICreditsPerMonth', label: 'AI credits this month' }
+};
+
+class UsageService {
+  /**
+   * 402 error for a reached plan limit
+   */
+  limitError(type, limit) {
+    const error = new Error(`Your plan allows ${limit} ${METERS[type].label}. Please upgrade your plan to add more.`);
+    error.statusCode = 402;
+    error.code = 'PLAN_LIMIT_REACHED';
+    error.limitType = type;
+    return error;
+  }
+
+  /**
+   * 403 error for an organization that can't use metered features
+   */
+  inactiveError() {
+    const error = new Error('Your organization is deactivated. Please contact support.');
+    error.statusCode = 403;
+    error.code = 'ORGANIZATION_INACTIVE';
+    return error;
+  }
+
+  /**
+   * Atomically take `amount` of a limited resource, throwing a 402 when the
+   * plan limit would be exceeded
+   */
+  async reserve(organizationId, type, amount = 1) {
+    const { usage, limit } = METERS[type];
+
+    const organization = await Organization.findOneAndUpdate(
+      {
+        _id: organizationId,
+        isActive: true,
+        $expr: { $lte: [{ $add: [`$usage.${usage}`, amount] }, `$limits.${limit}`] }
+      },
+      { $inc: { [`usage.${usage}`]: amount } },
+      { new: true }
+    );
+
+    if (organization) {
+      return organization;
+    }
+
+    // Work out why it failed
+    const current = await Organization.findById(organizationId).select('isActive limits');
+    if (!current || !current.isActive) {
+      throw this.inactiveError();
+    }
+    throw this.limitError(type, current.limits[limit]);
+  }
+
+  /**
+   * Give back a reserved resource (e.g. a removed connection or user)
+   */
+  async release(organizationId, type, amount = 1) {
+    const { usage } = METERS[type];
+
+    await Organization.updateOne(
+      { _id: organizationId, [`usage.${usage}`]: { $gte: amount } },
+      { $inc: { [`usage.${usage}`]: -amount } }
+    );
+  }
+
+  /**
+   * Count usage that can't be refused (e.g. incoming messages).
+   * Returns false once the organization is past its limit.
+   */
+  async record(organizationId, type, amount = 1) {
+    const { usage, limit } = METERS[type];
+
+    const organization = await Organization.findByIdAndUpdate(
+      organizationId,
+      { $inc: { [`usage.${usage}`]: amount } },
+      { new: true }
+    ).select('usage limits');
+
+    return Boolean(organization) && organization.usage[usage] <= organization.limits[limit];
+  }
+
+  /**
+   * Plan limit of an organization for a metered resource
+   */
+  getLimit(organization, type) {
+    return organization.limits[METERS[type].limit];
+  }
+
+  /**
+   * Check whether usage has gone past the limit (recorded usage can exceed it)
+   */
+  isOverLimit(organization, type) {
+    const { usage, limit } = METERS[type];
+    return organization.usage[usage] > organization.limits[limit];
+  }
+
+  /**
+   * Billing anniversary day of an organization (subscription start, else creation)
+   */
+  getAnchorDay(organization) {
+    const anchor = organization.subscription?.startDate || organization.createdAt || new Date();
+    return anchor.getUTCDate();
+  }
+
+  /**
+   * Anniversary date in a month. Anniversaries on the 29th-31st fall on the
+   * last day of shorter months. Month may overflow (Date.UTC normalizes it).
+   */
+  anniversaryIn(anchorDay, year, month) {
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const normalized = new Date(Date.UTC(year, month, 1));
+    return new Date(Date.UTC(
+      normalized.getUTCFullYear(),
+      normalized.getUTCMonth(),
+      Math.min(anchorDay, daysInMonth)
+    ));
+  }
+
+  /**
+   * Start of the current billing period (most recent anniversary, UTC)
+   */
+  getPeriodStart(organization, now = new Date()) {
+    const anchorDay = this.getAnchorDay(organization);
+    const thisMonth = this.anniversaryIn(anchorDay, now.getUTCFullYear(), now.getUTCMonth());
+
+    return thisMonth <= now
+      ? thisMonth
+      : this.anniversaryIn(anchorDay, now.getUTCFullYear(), now.getUTCMonth() - 1);
+  }
+
+  /**
+   * Start of the next billing period
+   */
+  getNextResetDate(organization, now = new Date()) {
+    const periodStart = this.getPeriodStart(organization, now);
+    return this.anniversaryIn(
+      this.getAnchorDay(organization),
+      periodStart.getUTCFullYear(),
+      periodStart.getUTCMonth() + 1
+    );
+  }
+
+  /**
+   * Check whether the monthly counters haven't been reset this billing period
+   */
+  isResetDue(organization, now = new Date()) {
+    const lastReset = organization.usage?.lastResetDate ||
+      organization.subscription?.startDate ||
+      organization.createdAt;
+
+    return !lastReset || lastReset < this.getPeriodStart(organization, now);
+  }
+
+  /**
+   * Usage summary for an organization
+   */
+  getSummary(organization) {
+    const meters = {};
+
+    Object.entries(METERS).forEach(([type, { usage, limit }]) => {
+      const used = organization.usage[usage] || 0;
+      const max = organization.limits[limit];
+
+      meters[type] = {
+        used,
+        limit: max,
+        remaining: Math.max(max - used, 0),
+        percentUsed: max > 0 ? Math.round((used / max) * 100) : 100
+      };
+    });
+
+    return {
+      plan: organization.subscription?.plan,
+      meters,
+      periodStart: this.getPeriodStart(organization),
+      nextResetDate: this.getNextResetDate(organization),
+      lastResetDate: organization.usage.lastResetDate
+    };
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,74 @@
+/**
+ * Timezone helpers (IANA names, e.g. "Europe/Berlin")
+ */
+
+// Check if a timezone name is valid
+const isValidTimezone = (timezone) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Offset in ms between local time in the timezone and UTC at a given instant
+const getTimezoneOffset = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const value = Object.fromEntries(parts.map(part => [part.type, parseInt(part.value)]));
+  const localAsUtc = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second);
+
+  return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// UTC instant of local midnight on a YYYY-MM-DD date in the timezone
+const startOfDayInTimezone = (dateString, timezone) => {
+  const utcMidnight = new Date(`${dateString}T00:00:00Z`);
+  return new Date(utcMidnight.getTime() - getTimezoneOffset(utcMidnight, timezone));
+};
+
+// Local YYYY-MM-DD date of an instant in the timezone
+const formatDateInTimezone = (date, timezone) => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+// Add days to a YYYY-MM-DD date
+const addDays = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// Duration such as "15m", "7d" or "3600" (seconds) in seconds
+const durationToSeconds = (duration) => {
+  const match = String(duration).trim().match(/^(\d+)\s*([smhd]?)$/);
+  if (!match) {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+
+  const multipliers = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+  return parseInt(match[1]) * multipliers[match[2]];
+};
+
+module.exports = {
+  isValidTimezone,
+  getTimezoneOffset,
+  startOfDayInTimezone,
+  formatDateInTimezone,
+  addDays,
+  durationToSeconds
+};
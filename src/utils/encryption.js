@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+
+// Encrypted values look like enc:<keyId>:<iv>:<authTag>:<ciphertext> (base64 parts)
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+let warnedMissingKey = false;
+
+const parseKey = (value, name) => {
+  const key = Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${name} must be a base64-encoded 32-byte key`);
+  }
+  return key;
+};
+
+/**
+ * Load keys from env:
+ *  TOKEN_ENCRYPTION_KEY / TOKEN_ENCRYPTION_KEY_ID - key used for new values
+ *  TOKEN_ENCRYPTION_PREVIOUS_KEYS - "id:key,id:key" still accepted for decryption
+ */
+const getKeyring = () => {
+  const keys = {};
+
+  (process.env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [id, key] = entry.split(':');
+      keys[id] = parseKey(key, `TOKEN_ENCRYPTION_PREVIOUS_KEYS (${id})`);
+    });
+
+  let activeKeyId = null;
+  if (process.env.TOKEN_ENCRYPTION_KEY) {
+    activeKeyId = process.env.TOKEN_ENCRYPTION_KEY_ID || 'v1';
+    keys[activeKeyId] = parseKey(process.env.TOKEN_ENCRYPTION_KEY, 'TOKEN_ENCRYPTION_KEY');
+  }
+
+  return { activeKeyId, keys };
+};
+
+const isEncrypted = (value) => {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+};
+
+// Key id an encrypted value was written with (null for plaintext)
+const getKeyId = (value) => {
+  return isEncrypted(value) ? value.split(':')[1] : null;
+};
+
+const encrypt = (plaintext) => {
+  if (plaintext === null || plaintext === undefined || plaintext === '' || isEncrypted(plaintext)) {
+    return plaintext;
+  }
+
+  const { activeKeyId, keys } = getKeyring();
+
+  if (!activeKeyId) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('TOKEN_ENCRYPTION_KEY is not configured');
+    }
+    if (!warnedMissingKey) {
+      console.warn('TOKEN_ENCRYPTION_KEY is not set - storing tokens unencrypted');
+      warnedMissingKey = true;
+    }
+    return plaintext;
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys[activeKeyId], iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [
+    PREFIX,
+    activeKeyId,
+    iv.toString('base64'),
+    authTag.toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+};
+
+const decrypt = (value) => {
+  // Plaintext values written before encryption was enabled pass through
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, keyId, iv, authTag, ciphertext] = value.split(':');
+  const key = getKeyring().keys[keyId];
+
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  getKeyId,
+  getActiveKeyId: () => getKeyring().activeKeyId
+};
@@ -0,0 +1,119 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./config/database');
+const { connectRedis } = require('./config/redis');
+const {
+  webhookQueue,
+  syncQueue,
+  aiQueue,
+  notificationQueue,
+  replyQueue,
+  knowledgeQueue,
+  maintenanceQueue,
+  digestQueue,
+  queues
+} = require('./config/queue');
+const processWebhook = require('./jobs/processWebhook');
+const syncPlatform = require('./jobs/syncPlatform');
+const processAI = require('./jobs/processAI');
+const sendNotification = require('./jobs/sendNotification');
+const sendReply = require('./jobs/sendReply');
+const indexKnowledgeBase = require('./jobs/indexKnowledgeBase');
+const resetMonthlyUsage = require('./jobs/resetMonthlyUsage');
+const sendDigests = require('./jobs/sendDigests');
+const syncScheduler = require('./services/syncScheduler');
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (err) => {
+  console.error('UNCAUGHT EXCEPTION! 💥 Shutting down worker...');
+  console.error(err.name, err.message);
+  process.exit(1);
+});
+
+// Processors and their concurrency (configurable per queue)
+const processors = [
+  { queue: webhookQueue, handler: processWebhook, concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY) || 5 },
+  { queue: syncQueue, handler: syncPlatform, concurrency: parseInt(process.env.SYNC_CONCURRENCY) || 2 },
+  { queue: aiQueue, handler: processAI, concurrency: parseInt(process.env.AI_CONCURRENCY) || 3 },
+  { queue: notificationQueue, handler: sendNotification, concurrency: parseInt(process.env.NOTIFICATION_CONCURRENCY) || 5 },
+  { queue: replyQueue, handler: sendReply, concurrency: parseInt(process.env.REPLY_CONCURRENCY) || 5 },
+  { queue: knowledgeQueue, handler: indexKnowledgeBase, concurrency: parseInt(process.env.KNOWLEDGE_CONCURRENCY) || 1 },
+  { queue: maintenanceQueue, handler: resetMonthlyUsage, concurrency: 1 },
+  { queue: digestQueue, handler: sendDigests, concurrency: 1 }
+];
+
+async function startWorker() {
+  try {
+    // Connect to MongoDB
+    await connectDB();
+    console.log('✅ MongoDB connected successfully');
+
+    // Connect to Redis (used by cacheService inside jobs)
+    await connectRedis();
+    console.log('✅ Redis connected successfully');
+
+    // Register processors
+    processors.forEach(({ queue, handler, concurrency }) => {
+      queue.process(concurrency, handler);
+      console.log(`👷 Processing ${queue.name} (concurrency: ${concurrency})`);
+    });
+
+    // Schedule automatic syncs for every active connection
+    const scheduledCount = await syncScheduler.scheduleAll();
+    console.log(`🔄 Automatic sync checked for ${scheduledCount} connections`);
+
+    // Hourly check for organizations reaching their billing anniversary
+    await maintenanceQueue.add({}, {
+      jobId: 'reset-monthly-usage',
+      repeat: { cron: '0 * * * *' },
+      attempts: 1
+    });
+
+    // Hourly, so every timezone's digest hour is covered
+    await digestQueue.add({}, {
+      jobId: 'send-digests',
+      repeat: { cron: '0 * * * *' },
+      attempts: 1
+    });
+
+    console.log('🚀 ORM worker running');
+  } catch (error) {
+    console.error('❌ Failed to start worker:', error);
+    process.exit(1);
+  }
+}
+
+let shuttingDown = false;
+
+async function shutdown(signal, exitCode = 0) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  console.log(`👋 ${signal} received. Finishing in-flight jobs...`);
+
+  try {
+    // Local pause stops picking up new jobs and waits for active ones to finish
+    await Promise.all(queues.map(queue => queue.pause(true)));
+    await Promise.all(queues.map(queue => queue.close()));
+    await mongoose.connection.close();
+
+    console.log('💥 Worker terminated!');
+    process.exit(exitCode);
+  } catch (error) {
+    console.error('Worker shutdown error:', error);
+    process.exit(1);
+  }
+}
+
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (err) => {
+  console.error('UNHANDLED REJECTION! 💥 Shutting down worker...');
+  console.error(err.name, err.message);
+  shutdown('unhandledRejection', 1);
+});
+
+// Graceful shutdown
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Start the worker
+startWorker();
@@ -0,0 +1,141 @@
+jest.mock('../../src/models/Interaction', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn(),
+  countDocuments: jest.fn()
+}));
+jest.mock('../../src/models/User', () => ({ find: jest.fn() }));
+jest.mock('../../src/services/usageService', () => ({
+  isOverLimit: jest.fn(),
+  reserve: jest.fn()
+}));
+jest.mock('../../src/services/labelService', () => ({ applyAutoLabels: jest.fn() }));
+jest.mock('../../src/services/knowledgeBaseService', () => ({
+  retrieveForInteraction: jest.fn(),
+  recordUsage: jest.fn()
+}));
+jest.mock('../../src/services/autoReplyService', () => ({
+  evaluate: jest.fn(),
+  queue: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  notifyEscalation: jest.fn(),
+  notifyAssignment: jest.fn(),
+  notifyNegativeSpike: jest.fn()
+}));
+jest.mock('../../src/services/realtimeService', () => ({
+  analysisCompleted: jest.fn(),
+  interactionUpdated: jest.fn()
+}));
+
+const Interaction = require('../../src/models/Interaction');
+const User = require('../../src/models/User');
+const usageService = require('../../src/services/usageService');
+const knowledgeBaseService = require('../../src/services/knowledgeBaseService');
+const autoReplyService = require('../../src/services/autoReplyService');
+const notificationService = require('../../src/services/notificationService');
+const { getProvider } = require('../../src/integrations/llm');
+const processAI = require('../../src/jobs/processAI');
+
+process.env.AI_PROVIDER = 'fake';
+
+const organization = {
+  _id: 'org1',
+  ai: {}
+};
+
+const buildInteraction = content => ({
+  _id: 'interaction1',
+  organization,
+  platform: 'instagram',
+  type: 'dm',
+  content,
+  save: jest.fn(),
+  assignTo: jest.fn()
+});
+
+const loadInteraction = interaction => {
+  Interaction.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(interaction) });
+};
+
+describe('processAI job', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    usageService.isOverLimit.mockReturnValue(false);
+    usageService.reserve.mockResolvedValue();
+    Interaction.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    knowledgeBaseService.retrieveForInteraction.mockResolvedValue([]);
+    User.find.mockResolvedValue([]);
+    getProvider('fake').requests.length = 0;
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('analyzes and queues an auto-reply with the configured provider', async () => {
+    const interaction = buildInteraction('Love the new collection, great quality!');
+    loadInteraction(interaction);
+    autoReplyService.evaluate.mockResolvedValue({ allowed: true });
+    autoReplyService.queue.mockResolvedValue({ _id: 'reply1', scheduledFor: new Date() });
+
+    const result = await processAI({ data: { interactionId: 'interaction1' } });
+
+    expect(getProvider('fake').requests.map(request => request.task)).toEqual(['analysis', 'response']);
+    expect(interaction.sentiment).toBe('positive');
+    expect(interaction.intent).toBe('praise');
+    expect(interaction.language).toBe('en');
+    expect(interaction.autoReplyEligible).toBe(true);
+    expect(interaction.aiSuggestion.content).toMatch(/Thank you for reaching out/);
+    expect(autoReplyService.queue).toHaveBeenCalledWith(interaction, organization, interaction.aiSuggestion.content);
+    expect(interaction.save.mock.invocationCallOrder[0]).toBeLessThan(autoReplyService.queue.mock.invocationCallOrder[0]);
+    expect(usageService.reserve).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ success: true, sentiment: 'positive', autoReplyQueued: true });
+  });
+
+  it('does not charge another AI credit when the job is retried', async () => {
+    const interaction = buildInteraction('Thanks, great help!');
+    loadInteraction(interaction);
+    Interaction.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    autoReplyService.evaluate.mockResolvedValue({ allowed: false, reason: 'Auto-reply is disabled' });
+
+    const result = await processAI({ data: { interactionId: 'interaction1' } });
+
+    expect(usageService.reserve).not.toHaveBeenCalled();
+    expect(interaction.sentiment).toBe('positive');
+    expect(result.success).toBe(true);
+  });
+
+  it('escalates urgent complaints instead of auto-replying', async () => {
+    const interaction = buildInteraction('My order arrived broken, I need a refund immediately');
+    loadInteraction(interaction);
+    autoReplyService.evaluate.mockResolvedValue({ allowed: false, reason: 'negative' });
+
+    const result = await processAI({ data: { interactionId: 'interaction1' } });
+
+    expect(interaction.sentiment).toBe('negative');
+    expect(interaction.intent).toBe('complaint');
+    expect(interaction.urgency).toBe('urgent');
+    expect(interaction.autoReplyEligible).toBe(false);
+    expect(autoReplyService.queue).not.toHaveBeenCalled();
+    expect(notificationService.notifyEscalation).toHaveBeenCalledWith(interaction);
+    expect(result.autoReplyQueued).toBe(false);
+  });
+
+  it('skips AI when the plan has no credits left', async () => {
+    const interaction = buildInteraction('Great service!');
+    loadInteraction(interaction);
+    usageService.reserve.mockRejectedValue(Object.assign(new Error('Limit reached'), { statusCode: 402 }));
+
+    const result = await processAI({ data: { interactionId: 'interaction1' } });
+
+    expect(getProvider('fake').requests).toHaveLength(0);
+    expect(interaction.sentiment).toBeUndefined();
+    expect(Interaction.updateOne).toHaveBeenLastCalledWith(
+      { _id: 'interaction1' },
+      { $set: { aiCreditReserved: false } }
+    );
+    expect(result.skipped).toBe('plan_limit_reached');
+  });
+});